@@ -0,0 +1,3509 @@
+import { createServer } from 'http';
+import { randomUUID } from 'crypto';
+import { readFileSync } from 'fs';
+import { WebSocketServer } from 'ws';
+import { verifyToken, getTokenFromRequest, getBearerToken } from './auth.js';
+import { createBackendVerifier, findResultMismatch } from './verifier.js';
+import { createMemoryLobbyStore, createFileLobbyStore, serializeLobby, deserializeLobby } from './lobbyStore.js';
+import { createClusterAdapterFromEnv } from './cluster.js';
+import { systemClock } from './clock.js';
+import {
+  createBackendClient,
+  PING_QUERY,
+  GET_CHALLENGE_QUERY,
+  CREATE_CHALLENGE_MUTATION,
+  START_CHALLENGE_MUTATION,
+  END_CHALLENGE_MUTATION
+} from './backendClient.js';
+import { createOutbox } from './outbox.js';
+import { createMemoryEventLog, createFileEventLog, getReplayFrames, REPLAY_SPEEDS } from './eventLog.js';
+import { recordProgress, appendProgress, compactProgress } from './progress.js';
+import { DEFAULT_CHALLENGE_CONFIG, resolveChallengeConfig } from './challengeConfig.js';
+import {
+  createTimer,
+  isTimerPaused,
+  isTimerExpired,
+  getRemainingTime,
+  pauseTimer,
+  resumeTimer,
+  extendTimer,
+  serializeTimer
+} from './challengeTimer.js';
+import { CHAT_CONFIG, createChatFilter, createRateLimiter, createChatMessage, appendChatHistory } from './chat.js';
+import { UNSEQUENCED_EVENTS, recordLobbyEvent, getEventsSince } from './eventBuffer.js';
+import { MATCHMAKING_CONFIG, createMatchmaker } from './matchmaking.js';
+import { RATING_CONFIG, computeRatingChanges } from './ratings.js';
+import { RANKING_CONFIG, rankPlayers } from './ranking.js';
+import {
+  TOURNAMENT_CONFIG,
+  TOURNAMENT_FORMATS,
+  createTournament,
+  pairNextRound,
+  recordMatchResult,
+  isRoundComplete,
+  describeTournament,
+  serializeTournament,
+  deserializeTournament
+} from './tournament.js';
+import {
+  PROTOCOL_VERSION,
+  CLOSE_CODES,
+  ERROR_CODES,
+  negotiateProtocolVersion,
+  playerSummary
+} from './protocol.js';
+import {
+  MESSAGE_LIMITS,
+  isKnownMessageType,
+  validateMessage,
+  createTokenBucket
+} from './messageValidation.js';
+import { createRouter, sendJson, readJsonBody, httpError } from './httpRouter.js';
+import { createMetrics } from './metrics.js';
+
+const { name: PACKAGE_NAME, version: PACKAGE_VERSION } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+// Create one socket server instance. Options default to the environment
+// variables documented in the README; tests inject a port, backend, clock and fetch.
+export function createSocketServer({
+  port = process.env.PORT || 4000, // 0 picks a free port
+  backendUrl = process.env.BACKEND_URL || 'https://meetcode-backend.onrender.com/graphql',
+  authSecret = process.env.AUTH_SECRET, // Secret used to verify the signed tokens clients authenticate with
+  fetch: fetchImpl, // Passed to the backend client, defaults to the global fetch
+  clock = systemClock,
+  logger = console,
+  nodeId = process.env.NODE_ID || randomUUID(),
+  cluster: clusterAdapter = null, // Defaults to the adapter configured through CLUSTER_ADAPTER
+  // Lobby snapshots survive restarts when LOBBY_STORE=file
+  lobbyStore = process.env.LOBBY_STORE === 'file'
+    ? createFileLobbyStore({ filePath: process.env.LOBBY_STORE_FILE || './data/lobbies.json', logger })
+    : createMemoryLobbyStore(),
+  outboxFile = process.env.OUTBOX_FILE || './data/outbox.json', // null keeps the outbox in memory
+  // Every lobby's inbound messages and broadcasts, for timelines and replays
+  eventLog = process.env.EVENT_LOG === 'memory'
+    ? createMemoryEventLog()
+    : createFileEventLog({ directory: process.env.EVENT_LOG_DIR || './data/events', logger }),
+  // Heartbeat: sockets are pinged every interval and terminated after too many unanswered pings
+  heartbeatInterval = Number(process.env.HEARTBEAT_INTERVAL_MS) || 15 * 1000,
+  heartbeatMaxMissed = Number(process.env.HEARTBEAT_MAX_MISSED) || 2,
+  ranking = RANKING_CONFIG, // Time bonus, wrong-submission penalty and tie-break, see ranking.js
+  // Graceful shutdown: "persist" leaves lobbies in the lobby store for the next
+  // start (or another instance), "end" ends them with a "Server maintenance" reason
+  shutdownMode = process.env.SHUTDOWN_MODE || (process.env.LOBBY_STORE === 'file' ? 'persist' : 'end'),
+  shutdownTimeout = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 30 * 1000, // Deadline for closing every socket
+  shutdownRetryAfter = Number(process.env.SHUTDOWN_RETRY_AFTER_MS) || 5 * 1000, // Reconnect hint sent to clients
+  rematchVoteTimeout = Number(process.env.REMATCH_VOTE_TIMEOUT_MS) || 20 * 1000, // From the first rematch request
+  chatBlocklist = CHAT_CONFIG.blocklist, // Words masked or refused in chat, see chat.js
+  chatBlocklistMode = CHAT_CONFIG.blocklistMode
+} = {}) {
+  if (!authSecret) {
+    throw new Error('authSecret is required');
+  }
+
+  const router = createRouter({ logger });
+  const httpServer = createServer((req, res) => router.handle(req, res));
+  const wss = new WebSocketServer({ server: httpServer, maxPayload: MESSAGE_LIMITS.maxPayload });
+  // Scraped from this server's lobbies, sockets and queue
+  const metrics = createMetrics({
+    collectors: {
+      lobbiesByStatus: countLobbiesByStatus,
+      connectedSockets: () => wss.clients.size,
+      queuedPlayers: () => queuedSockets.size
+    }
+  });
+  const { messagesReceived, broadcastsSent, broadcastFanout, challengeDuration, matchesFormed } = metrics;
+
+  const backend = createBackendClient({
+    backendUrl: backendUrl,
+    fetch: fetchImpl,
+    onRequest: metrics.observeBackendRequest,
+    clock,
+    logger
+  });
+
+  // endChallenge mutations are queued on disk and replayed until the backend acknowledges them
+  const outbox = createOutbox({
+    filePath: outboxFile,
+    send: sendOutboxEntry,
+    onDelivered: handleOutboxDelivered,
+    clock,
+    logger
+  });
+
+  const lobbies = new Map();
+  const RESTORE_GRACE_PERIOD = 60 * 1000; // Time players get to reconnect to a restored lobby
+
+  // Cluster: lobby events are shared with other instances through the adapter,
+  // and one node at a time owns each lobby's timer
+  const TIMER_LOCK_TTL = 10 * 1000; // Timer ownership moves to another node if not renewed in time
+  const ONCE_LOCK_TTL = 24 * 60 * 60 * 1000; // Guards start/end so they happen once per lobby
+  const REMATCH_RETRY_DELAY = 5 * 1000; // Before resolving a rematch vote again after a cluster failure
+  const STATUS_ORDER = ['WAITING', 'IN_PROGRESS', 'ENDED'];
+  let cluster = null; // Set in start()
+
+  // Readiness: the backend must answer and the server must not be shutting down
+  const BACKEND_HEALTH_INTERVAL = 15 * 1000;
+  let backendReachable = false;
+  let lastBackendCheck = null;
+  let shuttingDown = false;
+  let shutdownPromise = null; // Set by the first shutdown() call
+
+  const filterChat = createChatFilter(chatBlocklist);
+  const chatRateLimiter = createRateLimiter({ clock });
+
+  const AUTH_TIMEOUT = 10 * 1000; // Unauthenticated sockets are closed after 10 seconds
+
+  // Resolves client submission references to judge-verified results
+  const submissionVerifier = createBackendVerifier({ backend, logger });
+
+  // Matchmaking: every node keeps a copy of the cluster-wide pool (see
+  // matchmaking.js), kept in step through the 'matchmaking' cluster channel, and
+  // whichever node holds the matchmaking lock forms the groups. Nodes announce
+  // their queued players again every tick; players whose node stops doing so
+  // (e.g. it crashed) drop out of the other nodes' pools.
+  const matchmaker = createMatchmaker();
+  const queuedSockets = new Map(); // username -> socket, for players queued on this node until their match is created
+  const remoteQueueLeases = new Map(); // username -> time a player queued on another node drops out unless announced again
+  const matchingPlayers = new Set(); // Players in groups this node is creating a challenge for, until they leave
+  const MATCHMAKING_LOCK_TTL = 3 * MATCHMAKING_CONFIG.interval; // Another node forms groups if not renewed in time
+  const QUEUE_LEASE = 3 * MATCHMAKING_CONFIG.interval; // Players queued on another node drop out if not announced again in time
+  let matchmakingLockHeld = false;
+
+  // Tournaments: the node an admin creates one on runs it (pairings, results and
+  // standings, see tournament.js). Every node learns which lobbies are
+  // tournament matches and relays readiness, results and events through the
+  // 'tournaments' cluster channel. Tournaments run here are saved in the lobby
+  // store under `tournament:<id>` and picked up again after a restart.
+  const tournaments = new Map(); // tournamentId -> tournament run by this node
+  const ownedMatches = new Map(); // cid -> { tournament, match, ready, noShowAt, noShowTimer }, for tournaments run here
+  const tournamentMatches = new Map(); // cid -> { tournamentId, players }, known to every node
+  const latestStandings = new Map(); // tournamentId -> last tournamentStandings event, for watchTournament
+  const tournamentTimers = new Set(); // Round breaks and retries, cleared by stop()
+  const TOURNAMENT_RETRY_DELAY = 5 * 1000; // Before retrying a match creation or forfeit that failed
+  const TOURNAMENT_KEY_PREFIX = 'tournament:';
+
+  const replaySockets = new Set(); // Sockets watching a replay, see startReplay()
+
+  const intervals = []; // Cleared by stop()
+
+  wss.on('connection', (ws, req) => {
+    if (shuttingDown) {
+      ws.close(CLOSE_CODES.SERVER_SHUTTING_DOWN, 'Server is shutting down');
+      return;
+    }
+
+    logger.log('🔗 New WebSocket connection established !!!!');
+
+    // Identity is bound once per socket, either from ?token= on the upgrade request or a first `auth` message
+    ws.identity = null;
+
+    // Heartbeat state, see checkHeartbeats()
+    ws.missedPongs = 0;
+    ws.pingSentAt = null;
+    ws.latency = null;
+    ws.on('pong', () => {
+      ws.missedPongs = 0;
+      if (ws.pingSentAt) {
+        ws.latency = clock.now() - ws.pingSentAt;
+      }
+    });
+
+    // Sockets that skip the `hello` handshake speak the current protocol version
+    ws.protocolVersion = PROTOCOL_VERSION;
+
+    // Per-socket message budget; only the first refused message of a burst is answered
+    ws.messageBucket = createTokenBucket({ now: clock.now });
+    ws.rateLimited = false;
+
+    const upgradeToken = getTokenFromRequest(req);
+    if (upgradeToken) {
+      authenticateSocket(ws, upgradeToken);
+    }
+
+    const authTimer = clock.setTimeout(() => {
+      if (!ws.identity && ws.readyState === ws.OPEN) {
+        logger.warn('⚠️ Closing socket that did not authenticate in time');
+        rejectAuth(ws, 'Authentication timed out');
+      }
+    }, AUTH_TIMEOUT);
+
+    ws.on('message', async (message) => {
+      if (!ws.messageBucket.take()) {
+        if (!ws.rateLimited) {
+          ws.rateLimited = true;
+          logger.warn(`⚠️ Rate limiting socket${ws.identity ? ` of "${ws.identity.username}"` : ''}`);
+          sendError(ws, ERROR_CODES.RATE_LIMITED, 'Too many messages, slow down');
+        }
+        return;
+      }
+      ws.rateLimited = false;
+
+      let data;
+      try {
+        data = JSON.parse(message);
+      } catch {
+        messagesReceived.inc({ type: 'unknown' });
+        sendError(ws, ERROR_CODES.INVALID_JSON, 'Message is not valid JSON');
+        return;
+      }
+
+      const type = data?.type;
+      messagesReceived.inc({ type: isKnownMessageType(type) ? type : 'unknown' });
+
+      // Test counts are checked against the lobby the message is for
+      const targetCid = typeof data?.cid === 'string' ? data.cid : ws.identity?.cid;
+      const problem = validateMessage(data, { totalTests: getLobbyConfig(lobbies.get(targetCid)).totalTests });
+      if (problem) {
+        sendError(ws, problem.code, problem.message, { field: problem.field, requestType: type });
+        return;
+      }
+
+      try {
+        // Version handshake, allowed before authenticating
+        if (type === 'hello') {
+          negotiateProtocol(ws, data);
+          return;
+        }
+
+        if (type === 'auth') {
+          if (ws.identity) {
+            ws.send(JSON.stringify({
+              type: 'authError',
+              message: 'Connection is already authenticated'
+            }));
+            return;
+          }
+          authenticateSocket(ws, data.token);
+          return;
+        }
+
+        if (!ws.identity) {
+          rejectAuth(ws, 'Not authenticated');
+          return;
+        }
+
+        // Matchmaking comes before the user has a lobby
+        if (type === 'queue' || type === 'leaveQueue') {
+          handleQueueMessage(ws, type, data);
+          return;
+        }
+
+        if (type === 'watchTournament') {
+          watchTournament(ws, data.tournamentId);
+          return;
+        }
+
+        // Replays are of finished challenges, not the lobby the socket is in
+        if (type === 'replay' || type === 'stopReplay') {
+          await handleReplayMessage(ws, type, data);
+          return;
+        }
+
+        // Messages may only act as the authenticated user (and lobby, if the token is bound to one)
+        const username = ws.identity.username;
+        const cid = data.cid || ws.identity.cid;
+
+        if (!cid) {
+          sendError(ws, ERROR_CODES.MISSING_FIELD, '"cid" is required', { field: 'cid', requestType: type });
+          return;
+        }
+
+        if (data.username !== undefined && data.username !== username) {
+          logger.warn(`⚠️ Rejected "${type}" from "${username}" claiming to be "${data.username}"`);
+          ws.send(JSON.stringify({
+            type: 'authError',
+            message: 'Username does not match authenticated user'
+          }));
+          return;
+        }
+
+        if (ws.identity.cid && cid !== ws.identity.cid) {
+          logger.warn(`⚠️ Rejected "${type}" from "${username}" for lobby ${cid}, token is bound to ${ws.identity.cid}`);
+          ws.send(JSON.stringify({
+            type: 'authError',
+            message: 'Token is not valid for this challenge'
+          }));
+          return;
+        }
+
+        let challengeValid = null;
+        // `resume` is a join that also catches the client up on missed events
+        if (type === 'join' || type === 'resume' || type === 'spectate') {
+          const asSpectator = type === 'spectate';
+          if (shuttingDown) {
+            ws.send(JSON.stringify({
+              type: asSpectator ? 'spectateError' : 'joinError',
+              message: 'Server is shutting down'
+            }));
+            return;
+          }
+          challengeValid = await validateChallengeAccess(cid, ws.identity, { asSpectator });
+          if (!challengeValid.canJoin) {
+            ws.send(JSON.stringify({
+              type: asSpectator ? 'spectateError' : 'joinError',
+              message: challengeValid.reason
+            }));
+            return;
+          }
+          // The socket is now bound to this lobby
+          if (ws.spectating && !asSpectator) {
+            removeSpectator(ws);
+          }
+          // Moving on from a finished lobby (e.g. to a rematch): stop receiving its
+          // events, but keep the player in its results
+          const previousLobby = ws.cid && ws.cid !== cid ? lobbies.get(ws.cid) : null;
+          if (previousLobby?.challengeEnded && previousLobby.players.get(username)?.socket === ws) {
+            previousLobby.completedPlayers.set(username, previousLobby.players.get(username));
+            previousLobby.players.delete(username);
+            syncPlayer(ws.cid, username);
+          }
+          ws.cid = cid;
+          ws.spectating = asSpectator;
+
+          // Duration, test count and early-finish rules come from the challenge itself
+          if (lobbies.has(cid) && !lobbies.get(cid).config) {
+            lobbies.get(cid).config = challengeValid.config;
+          }
+        } else if (ws.cid !== cid) {
+          ws.send(JSON.stringify({
+            type: 'authError',
+            message: 'You have not joined this challenge'
+          }));
+          return;
+        }
+
+        if (!lobbies.has(cid)) {
+          lobbies.set(cid, { 
+            players: new Map(),
+            completedPlayers: new Map(), // Store players who finished early
+            disconnectedPlayers: new Map(), // Store temporarily disconnected players with timers
+            remotePlayers: new Map(), // Players connected to other nodes, kept in sync via the cluster
+            spectators: new Set(), // Sockets watching without playing
+            chatHistory: [], // Last CHAT_CONFIG.historySize chat messages
+            lastSequence: 0, // Sequence number of the newest lobby event
+            eventBuffer: [], // Recent events for `resume`, see eventBuffer.js
+            remoteSpectatorCounts: new Map(), // Spectators watching through other nodes, by node id
+            kickedPlayers: new Set(), // Players removed by an admin or the host, they cannot rejoin
+            host: tournamentMatches.has(cid) ? null : challengeValid?.host ?? null, // Set by the first join if the backend names nobody
+            locked: false, // Locked by the host: no new players
+            minReady: null, // Set by the host: start counting down once this many are ready
+            countdown: null, // { endsAt, reason, cancellable, timeoutId } before a host or minimum-ready start
+            problemId: challengeValid?.pid ?? null, // Kept for a rematch on the same problem
+            finalScores: null, // From challengeEnded, kept while the lobby lingers
+            rematch: null, // Post-game vote, see handleRematchMessage
+            config: challengeValid?.config || null, // Duration, test count and early-finish rules
+            timer: null,
+            status: 'WAITING',
+            challengeEnded: false,
+            inactivityTimer: null // 3-min inactivity timer
+          });
+          logger.log(`🏠 Created new lobby: ${cid}`);
+          joinLobbyChannel(cid);
+          // Start inactivity timer
+          resetLobbyInactivityTimer(cid);
+        }
+
+        const lobby = lobbies.get(cid);
+        const config = getLobbyConfig(lobby);
+
+        // Don't allow joining if challenge has ended
+        if (lobby.challengeEnded && (type === 'join' || type === 'spectate')) {
+          ws.send(JSON.stringify({
+            type: type === 'spectate' ? 'spectateError' : 'joinError',
+            message: 'Challenge has already ended'
+          }));
+          return;
+        }
+
+        if (lobby.kickedPlayers.has(username)) {
+          ws.send(JSON.stringify({
+            type: ws.spectating ? 'spectateError' : 'joinError',
+            message: 'You have been removed from this challenge'
+          }));
+          return;
+        }
+
+        // A locked lobby only takes back players it already has
+        const isMember = lobby.players.has(username) || lobby.disconnectedPlayers.has(username)
+          || lobby.remotePlayers.has(username) || lobby.completedPlayers.has(username);
+        if (lobby.locked && !ws.spectating && !isMember) {
+          ws.send(JSON.stringify({
+            type: 'joinError',
+            message: 'Lobby is locked by the host'
+          }));
+          return;
+        }
+
+        // Recorded only once let in, so refused users never count as having taken part.
+        // Chat is recorded once moderated (see handleChatMessage()) and spectators can only spectate
+        if (type !== 'chatMessage' && (!ws.spectating || type === 'spectate')) {
+          recordEvent(cid, { direction: 'in', username, spectator: ws.spectating || undefined, message: data });
+        }
+
+        // Spectators only watch; they never become players
+        if (ws.spectating) {
+          if (type === 'spectate') {
+            addSpectator(ws, cid);
+          } else if (type === 'chatMessage') {
+            handleChatMessage(ws, cid, username, data, { spectator: true });
+          } else {
+            ws.send(JSON.stringify({
+              type: 'spectatorError',
+              message: `Spectators cannot send "${type}"`
+            }));
+          }
+          return;
+        }
+
+        let isNewPlayer = false;
+
+        // Check if player is reconnecting (was temporarily disconnected)
+        if (lobby.disconnectedPlayers.has(username)) {
+          logger.log(`🔄 Player "${username}" reconnecting to lobby: ${cid}`);
+          const disconnectedPlayer = lobby.disconnectedPlayers.get(username);
+
+          // Cancel the disconnect timer
+          if (disconnectedPlayer.disconnectTimer) {
+            clock.clearTimeout(disconnectedPlayer.disconnectTimer);
+            logger.log(`⏰ Cancelled disconnect timer for "${username}"`);
+          }
+
+          // Restore the player with their previous data but new socket
+          disconnectedPlayer.playerData.socket = ws;
+          lobby.players.set(username, disconnectedPlayer.playerData);
+          lobby.disconnectedPlayers.delete(username);
+
+          // Notify others that player reconnected
+          broadcast(cid, {
+            type: 'playerReconnected',
+            player: { username, cid }
+          }, ws);
+
+          logger.log(`✅ Player "${username}" successfully reconnected to lobby: ${cid}`);
+        } else if (lobby.remotePlayers.has(username)) {
+          // Player moved here from another node, take over their state
+          logger.log(`🔄 Player "${username}" moved to this node in lobby: ${cid}`);
+          const { nodeId, state, ...playerData } = lobby.remotePlayers.get(username);
+          lobby.players.set(username, { ...playerData, socket: ws });
+          lobby.remotePlayers.delete(username);
+
+          broadcast(cid, {
+            type: 'playerReconnected',
+            player: { username, cid }
+          }, ws);
+        } else {
+          // Ensure the player is tracked (new player)
+          if (!lobby.players.has(username)) {
+            isNewPlayer = true;
+            lobby.players.set(username, { 
+              ready: false, 
+              socket: ws, 
+              running: false, 
+              testsPassed: 0, 
+              submitted: false, 
+              submittedResults: 0,
+              submittedTestsPassed: 0, // Number of tests passed on submission
+              latestScore: 0,
+              rating: challengeValid?.rating ?? ws.identity.rating ?? RATING_CONFIG.defaultRating // Before this challenge
+            });
+          } else {
+            lobby.players.get(username).socket = ws;
+          }
+        }
+
+        // Without a host from the backend, the first player to join hosts the lobby
+        if (isNewPlayer && !lobby.host && !tournamentMatches.has(cid)) {
+          lobby.host = username;
+          syncLobby(cid);
+        }
+
+        // Reset inactivity timer
+        resetLobbyInactivityTimer(cid);
+
+        let progressPoint = null; // Recorded by testResults and codeSubmitted, shared with other nodes below
+        switch (type) {
+          case 'join':
+            if (queuedSockets.has(username)) {
+              leaveQueue(username, 'Joined a lobby');
+            }
+            logger.log(`👤 User "${username}" joined lobby: ${cid}`);
+            logger.log(`📊 Lobby ${cid} now has ${lobby.players.size} player(s)`);
+
+            sendLobbyState(ws, cid);
+
+            broadcast(cid, {
+              type: 'playerJoined',
+              player: playerSummary(username, cid, lobby.players.get(username))
+            }, ws);
+            break;
+
+          case 'resume': {
+            if (isNewPlayer) {
+              // Nothing to catch up on, treat it as a regular join
+              logger.log(`👤 User "${username}" joined lobby: ${cid}`);
+              sendLobbyState(ws, cid);
+              ws.send(JSON.stringify({ type: 'resumed', sequence: lobby.lastSequence, snapshot: true }));
+
+              broadcast(cid, {
+                type: 'playerJoined',
+                player: playerSummary(username, cid, lobby.players.get(username))
+              }, ws);
+              break;
+            }
+
+            await resumeLobbyEvents(ws, cid, username, data.lastSequence);
+            break;
+          }
+
+          case 'ready': {
+            const player = lobby.players.get(username);
+            if (player && lobby.status === 'WAITING') {
+              player.ready = !player.ready;
+
+              logger.log(`${player.ready ? '✅' : '❌'} User "${username}" is ${player.ready ? 'ready' : 'not ready'} in lobby: ${cid}`);
+
+              const activePlayers = getActivePlayers(lobby);
+              const readyCount = activePlayers.filter(([, p]) => p.ready).length;
+              logger.log(`🎯 Ready players in ${cid}: ${readyCount}/${activePlayers.length}`);
+
+              broadcast(cid, {
+                type: 'playerReadyToggle',
+                player: playerSummary(username, cid, player)
+              });
+
+              // The node running the tournament needs to know who turned up for the match
+              if (tournamentMatches.has(cid)) {
+                publishTournament({ kind: 'ready', cid, username, ready: player.ready });
+              }
+
+              // Publish our state before checking so other nodes can start if we lose the race
+              syncPlayer(cid, username);
+              await maybeStartChallenge(cid);
+            }
+            break;
+          }
+
+          case 'codeRunning': {
+            const player = lobby.players.get(username);
+            if (player) {
+              player.running = true;
+              logger.log(`🏃 User "${username}" started running code in lobby: ${cid}`);
+
+              broadcast(cid, {
+                type: 'playerCodeRunning',
+                player: { username, cid, running: true }
+              });
+            }
+            break;
+          }
+
+          case 'codeFinished': {
+            const player = lobby.players.get(username);
+            if (player) {
+              player.running = false;
+              logger.log(`✅ User "${username}" finished running code in lobby: ${cid}`);
+
+              broadcast(cid, {
+                type: 'playerCodeFinished',
+                player: { username, cid, running: false }
+              });
+            }
+            break;
+          }
+
+          case 'testResults': {
+            const player = lobby.players.get(username);
+            if (player) {
+              const result = await verifyPlayerSubmission(ws, cid, username, data);
+              if (!result) break;
+
+              // A resent submission (e.g. after a reconnect) is only counted once
+              if (data.submissionId) {
+                player.submissionIds ??= [];
+                if (player.submissionIds.includes(data.submissionId)) {
+                  logger.warn(`⚠️ Ignoring repeated submission ${data.submissionId} from "${username}" in lobby: ${cid}`);
+                  break;
+                }
+                player.submissionIds.push(data.submissionId);
+              }
+
+              player.testsPassed = result.testsPassed;
+              player.latestScore = result.testsPassed; // Update latest score
+              progressPoint = recordProgress(player, { at: clock.now(), kind: 'run', testsPassed: result.testsPassed });
+              logger.log(`📊 User "${username}" passed ${result.testsPassed} tests in lobby: ${cid}`);
+
+              broadcast(cid, {
+                type: 'playerTestResults',
+                player: { username, cid, testsPassed: result.testsPassed },
+                point: progressPoint
+              });
+            }
+            break;
+          }
+
+          case 'codeSubmitted': {
+            const player = lobby.players.get(username);
+            if (player) {
+              const result = await verifyPlayerSubmission(ws, cid, username, data);
+              if (!result) break;
+
+              // A resent submission (e.g. after a reconnect) is only counted once
+              if (data.submissionId) {
+                player.submissionIds ??= [];
+                if (player.submissionIds.includes(data.submissionId)) {
+                  logger.warn(`⚠️ Ignoring repeated submission ${data.submissionId} from "${username}" in lobby: ${cid}`);
+                  break;
+                }
+                player.submissionIds.push(data.submissionId);
+              }
+
+              // The time the current score was first reached breaks ties, see ranking.js
+              if (!player.submitted || result.score !== player.submittedResults) {
+                player.submittedAt = clock.now();
+              }
+              if (result.testsPassed < config.totalTests) {
+                player.wrongSubmissions = (player.wrongSubmissions || 0) + 1;
+              }
+              player.submitted = true;
+              player.submittedResults = result.score; // Actual calculated score
+              player.submittedTestsPassed = result.testsPassed; // Number of tests passed
+              player.latestScore = result.score; // Update latest score with actual score
+              progressPoint = recordProgress(player, { at: clock.now(), kind: 'submission', testsPassed: result.testsPassed });
+              logger.log(`🎯 User "${username}" submitted code with ${result.testsPassed} tests passed and score ${result.score} in lobby: ${cid}`);
+
+              broadcast(cid, {
+                type: 'playerCodeSubmitted',
+                player: {
+                  username,
+                  cid,
+                  submitted: true,
+                  submittedResults: result.score,
+                  submittedTestsPassed: result.testsPassed
+                },
+                point: progressPoint
+              });
+
+              // Check if user passed all tests and wants to end challenge early
+              if (config.allowEarlyFinish && result.testsPassed === config.totalTests) { // Check number of tests passed, not score
+                logger.log(`🏆 User "${username}" passed all ${config.totalTests} tests with score ${result.score}! They can end the challenge early.`);
+
+                // Broadcast option to end challenge
+                broadcast(cid, {
+                  type: 'canEndChallenge',
+                  player: { username, cid }
+                });
+              }
+            }
+            break;
+          }
+
+          case 'endChallenge': {
+            if (lobby.status === 'IN_PROGRESS' && !lobby.challengeEnded) {
+              logger.log(`🏁 User "${username}" requested to end challenge: ${cid}`);
+              await endChallenge(cid, `Ended by ${username}`);
+            }
+            break;
+          }
+
+          case 'endChallengeForUser': {
+            const player = lobby.players.get(username);
+            if (player && !config.allowEarlyFinish) {
+              player.socket.send(JSON.stringify({
+                type: 'cannotEndYet',
+                message: 'Finishing early is not allowed in this challenge'
+              }));
+            } else if (lobby.status === 'IN_PROGRESS' && !lobby.challengeEnded && player && player.submittedTestsPassed === config.totalTests) {
+              logger.log(`🏆 User "${username}" completed all tests and is ending their participation in challenge: ${cid}`);
+
+              // Record final score (use the actual calculated score)
+              const finalScore = player.submittedResults || 0;
+              logger.log(`📊 Recording final score for "${username}": ${finalScore} (passed ${player.submittedTestsPassed}/${config.totalTests} tests)`);
+
+              // Broadcast that this user has completed and left
+              broadcast(cid, {
+                type: 'playerCompletedAndLeft',
+                player: {
+                  username,
+                  cid,
+                  finalScore,
+                  testsPassed: player.submittedTestsPassed,
+                  reason: 'Completed all test cases'
+                }
+              }, player.socket);
+
+              // Send confirmation to the user
+              player.socket.send(JSON.stringify({
+                type: 'challengeEndedForUser',
+                message: 'You have successfully completed the challenge!',
+                finalScore,
+                testsPassed: player.submittedTestsPassed
+              }));
+
+              // Store completed player data before removing from active players
+              lobby.completedPlayers.set(username, {
+                ...player,
+                completedAt: clock.now(),
+                finalScore: finalScore
+              });
+
+              // Remove player from active lobby
+              lobby.players.delete(username);
+              logger.log(`📊 Lobby ${cid} now has ${lobby.players.size} player(s) remaining`);
+
+              // If no players left, end the challenge for everyone
+              if (getActivePlayers(lobby).length === 0) {
+                logger.log(`🏁 All players have completed in ${cid}, ending challenge`);
+                await endChallenge(cid, 'All players completed');
+              }
+            } else if (player && player.submittedTestsPassed !== config.totalTests) {
+              // User hasn't passed all tests yet
+              player.socket.send(JSON.stringify({
+                type: 'cannotEndYet',
+                message: `You must pass all ${config.totalTests} test cases before ending your participation (currently passed: ${player.submittedTestsPassed || 0}/${config.totalTests})`
+              }));
+            }
+            break;
+          }
+
+          case 'chatMessage':
+            handleChatMessage(ws, cid, username, data);
+            break;
+
+          case 'kickPlayer':
+          case 'transferHost':
+          case 'lockLobby':
+          case 'setMinReady':
+          case 'forceStart':
+            await handleHostMessage(ws, cid, username, type, data);
+            break;
+
+          case 'requestRematch':
+          case 'declineRematch':
+            await handleRematchMessage(ws, cid, username, type === 'requestRematch', data);
+            break;
+
+          default:
+            sendError(ws, ERROR_CODES.UNKNOWN_TYPE, `Unknown message type "${type}"`, { field: 'type', requestType: type });
+        }
+
+        persistLobby(cid);
+        // A player arriving here may bring progress the other nodes have not seen
+        syncPlayer(cid, username, { point: progressPoint, fullProgress: type === 'join' || type === 'resume' });
+      } catch (err) {
+        logger.error('❌ Failed to process message:', err);
+        sendError(ws, ERROR_CODES.INTERNAL_ERROR, 'Failed to process message', { requestType: type });
+      }
+    });
+
+    ws.on('close', () => {
+      logger.log('🔌 WebSocket connection closed');
+      clock.clearTimeout(authTimer);
+      stopReplay(ws);
+      if (ws.identity && queuedSockets.get(ws.identity.username) === ws) {
+        forgetQueuedPlayer(ws.identity.username);
+      }
+      // Lobbies were already handed off or ended, players keep their slot
+      if (shuttingDown) return;
+      if (ws.spectating) {
+        removeSpectator(ws);
+        return;
+      }
+      schedulePlayerDisconnect(ws);
+    });
+  });
+
+  // Lobby host controls. They only apply while the lobby waits to start.
+  async function handleHostMessage(ws, cid, username, type, data) {
+    const lobby = lobbies.get(cid);
+    const refuse = (code, message) => sendError(ws, code, message, { requestType: type });
+
+    if (lobby.host !== username) {
+      refuse(ERROR_CODES.NOT_HOST, 'Only the lobby host can do that');
+      return;
+    }
+    if (lobby.status !== 'WAITING' || lobby.started) {
+      refuse(ERROR_CODES.ALREADY_STARTED, 'Challenge has already started');
+      return;
+    }
+
+    switch (type) {
+      case 'kickPlayer': {
+        const reason = data.reason?.trim() || 'Removed by the host';
+        if (data.target === username || !kickPlayer(cid, data.target, reason, { propagate: true })) {
+          refuse(ERROR_CODES.UNKNOWN_PLAYER, 'Player not found in this lobby');
+          return;
+        }
+        logger.log(`👑 Host "${username}" kicked "${data.target}" from lobby ${cid}`);
+        break;
+      }
+
+      case 'transferHost':
+        if (data.target === username || !getActivePlayers(lobby).some(([name]) => name === data.target)) {
+          refuse(ERROR_CODES.UNKNOWN_PLAYER, 'Player not found in this lobby');
+          return;
+        }
+        setHost(cid, data.target, `Handed over by ${username}`);
+        break;
+
+      case 'lockLobby':
+      case 'setMinReady':
+        if (type === 'lockLobby') {
+          lobby.locked = data.locked;
+        } else {
+          lobby.minReady = data.minReady || null;
+        }
+        logger.log(`👑 Host "${username}" set lobby ${cid} to ${lobby.locked ? 'locked' : 'unlocked'}, minimum ready ${lobby.minReady ?? 'everyone'}`);
+        broadcast(cid, { type: 'lobbySettingsChanged', locked: lobby.locked, minReady: lobby.minReady });
+        syncLobby(cid);
+        await maybeStartChallenge(cid);
+        break;
+
+      case 'forceStart':
+        if (lobby.countdown) {
+          refuse(ERROR_CODES.COUNTDOWN_RUNNING, 'The challenge is already about to start');
+          return;
+        }
+        logger.log(`👑 Host "${username}" force-started lobby ${cid}`);
+        startCountdown(cid, `Started by ${username}`);
+        break;
+    }
+  }
+
+  function setHost(cid, host, reason) {
+    const lobby = lobbies.get(cid);
+    lobby.host = host;
+    logger.log(`👑 Lobby ${cid} is now hosted by ${host ? `"${host}"` : 'nobody'} (${reason})`);
+    broadcast(cid, { type: 'hostChanged', host, reason });
+    syncLobby(cid);
+    persistLobby(cid);
+  }
+
+  // Count down to the start so everyone sees it coming. Cancellable countdowns
+  // (minimum ready) stop if too few players are ready again.
+  function startCountdown(cid, reason, { cancellable = false } = {}) {
+    const lobby = lobbies.get(cid);
+    const duration = getLobbyConfig(lobby).startCountdown ?? DEFAULT_CHALLENGE_CONFIG.startCountdown;
+    const endsAt = clock.now() + duration;
+
+    lobby.countdown = {
+      endsAt,
+      reason,
+      cancellable,
+      timeoutId: clock.setTimeout(() => {
+        lobby.countdown = null;
+        startChallenge(cid).catch((err) => {
+          logger.error(`❌ Failed to start challenge ${cid}:`, err);
+        });
+      }, duration)
+    };
+
+    logger.log(`⏳ Challenge ${cid} starts in ${duration / 1000}s: ${reason}`);
+    broadcast(cid, { type: 'countdownStarted', endsAt, duration, reason });
+    syncLobby(cid);
+  }
+
+  function cancelCountdown(cid, reason) {
+    const lobby = lobbies.get(cid);
+    clock.clearTimeout(lobby.countdown?.timeoutId);
+    lobby.countdown = null;
+
+    logger.log(`⏳ Countdown for challenge ${cid} cancelled: ${reason}`);
+    broadcast(cid, { type: 'countdownCancelled', reason });
+    syncLobby(cid);
+  }
+
+  // Rematch: after the challenge ends, the first requestRematch opens a vote
+  // among everyone who took part. Once they have all answered, or the vote
+  // times out, one node creates the new challenge for those who accepted and
+  // every node tells its own accepting players. Votes are shared through the
+  // cluster so each node keeps the same tally.
+  async function handleRematchMessage(ws, cid, username, accept, data) {
+    const lobby = lobbies.get(cid);
+    const requestType = accept ? 'requestRematch' : 'declineRematch';
+    const refuse = (code, message) => sendError(ws, code, message, { requestType });
+
+    if (!lobby.challengeEnded) {
+      refuse(ERROR_CODES.NOT_ENDED, 'The challenge has not ended yet');
+      return;
+    }
+    if (tournamentMatches.has(cid)) {
+      refuse(ERROR_CODES.TOURNAMENT_MATCH, 'Tournament matches cannot be rematched');
+      return;
+    }
+    if (lobby.rematch && lobby.rematch.status !== 'voting') {
+      refuse(ERROR_CODES.VOTE_CLOSED, 'The rematch vote is over');
+      return;
+    }
+    if (!lobby.rematch && !accept) {
+      refuse(ERROR_CODES.NO_VOTE, 'Nobody has asked for a rematch');
+      return;
+    }
+
+    const vote = { username, accept, newProblem: data.newProblem === true, at: clock.now() };
+    applyRematchVote(cid, vote);
+    await cluster.publish(`lobby:${cid}`, { origin: nodeId, kind: 'rematchVote', ...vote });
+
+    const { rematch } = lobby;
+    const tally = getRematchTally(lobby);
+    broadcast(cid, {
+      type: 'rematchVote',
+      requestedBy: rematch.requestedBy,
+      newProblem: rematch.newProblem,
+      ...tally,
+      expiresAt: rematch.expiresAt
+    });
+  }
+
+  // Everyone who took part in the challenge and has not left
+  function getRematchVoters(lobby) {
+    return [...new Set([
+      ...lobby.players.keys(),
+      ...lobby.completedPlayers.keys(),
+      ...lobby.disconnectedPlayers.keys(),
+      ...lobby.remotePlayers.keys()
+    ])];
+  }
+
+  function getRematchTally(lobby) {
+    const { votes } = lobby.rematch;
+    const voters = getRematchVoters(lobby);
+    return {
+      accepted: voters.filter((username) => votes.get(username) === true),
+      declined: voters.filter((username) => votes.get(username) === false),
+      waitingFor: voters.filter((username) => !votes.has(username))
+    };
+  }
+
+  function applyRematchVote(cid, { username, accept, newProblem, at }) {
+    const lobby = lobbies.get(cid);
+    if (!lobby || (lobby.rematch && lobby.rematch.status !== 'voting')) return;
+
+    if (!lobby.rematch) {
+      if (!accept) return;
+      logger.log(`🔁 "${username}" asked for a rematch of ${cid}${newProblem ? ' on a new problem' : ''}`);
+      lobby.rematch = {
+        requestedBy: username,
+        newProblem,
+        votes: new Map(),
+        expiresAt: at + rematchVoteTimeout,
+        status: 'voting', // -> 'creating' -> 'created' | 'cancelled'
+        newCid: null,
+        timeoutId: clock.setTimeout(() => settleRematch(cid), Math.max(0, at + rematchVoteTimeout - clock.now()))
+      };
+    }
+    lobby.rematch.votes.set(username, accept);
+
+    if (getRematchTally(lobby).waitingFor.length === 0) {
+      settleRematch(cid);
+    }
+  }
+
+  // Resolve the vote, trying again shortly if the cluster fails
+  function settleRematch(cid) {
+    resolveRematch(cid).catch((err) => {
+      logger.error(`❌ Failed to resolve the rematch vote of ${cid}, retrying:`, err);
+      const rematch = lobbies.get(cid)?.rematch;
+      if (rematch?.status !== 'voting') return;
+      clock.clearTimeout(rematch.timeoutId);
+      rematch.timeoutId = clock.setTimeout(() => settleRematch(cid), REMATCH_RETRY_DELAY);
+    });
+  }
+
+  // Create the rematch once per cluster, or call it off if too few accepted.
+  // The vote timeout stays armed until this node holds the lock.
+  async function resolveRematch(cid) {
+    const lobby = lobbies.get(cid);
+    if (lobby?.rematch?.status !== 'voting') return;
+
+    if (!(await cluster.acquireLock(`lobby:${cid}:rematch`, nodeId, ONCE_LOCK_TTL))) return;
+    if (lobby.rematch.status !== 'voting') return;
+    clock.clearTimeout(lobby.rematch.timeoutId);
+    lobby.rematch.status = 'creating';
+
+    const { accepted } = getRematchTally(lobby);
+    const needed = Math.min(2, getRematchVoters(lobby).length);
+    if (accepted.length < needed) {
+      finishRematch(cid, { status: 'cancelled', reason: 'Not enough players accepted the rematch' });
+      return;
+    }
+
+    try {
+      const data = await backend.request(CREATE_CHALLENGE_MUTATION, {
+        participants: accepted,
+        pid: lobby.rematch.newProblem ? null : lobby.problemId
+      });
+      const newCid = data?.createChallenge?.cid;
+      if (!newCid) throw new Error('Backend did not return a challenge');
+
+      logger.log(`🔁 Rematch of ${cid} created as ${newCid} for ${accepted.join(', ')}`);
+      finishRematch(cid, { status: 'created', newCid, players: accepted });
+    } catch (err) {
+      logger.error(`❌ Failed to create a rematch of ${cid}:`, err);
+      finishRematch(cid, { status: 'cancelled', reason: 'The rematch could not be created' });
+    }
+  }
+
+  function finishRematch(cid, result) {
+    applyRematchResult(cid, result);
+    cluster.publish(`lobby:${cid}`, { origin: nodeId, kind: 'rematchResult', ...result }).catch((err) => {
+      logger.error(`❌ Failed to share the rematch result of ${cid}:`, err);
+    });
+    if (result.status === 'cancelled') {
+      broadcast(cid, { type: 'rematchCancelled', reason: result.reason });
+    }
+  }
+
+  // Every node sends rematchReady to its own players who accepted
+  function applyRematchResult(cid, { status, newCid = null, players = [] }) {
+    const lobby = lobbies.get(cid);
+    if (!lobby?.rematch) return;
+    clock.clearTimeout(lobby.rematch.timeoutId);
+    lobby.rematch.status = status;
+    lobby.rematch.newCid = newCid;
+    if (status !== 'created') return;
+
+    for (const username of players) {
+      const socket = lobby.players.get(username)?.socket ?? lobby.completedPlayers.get(username)?.socket;
+      if (socket?.readyState === socket?.OPEN) {
+        socket.send(JSON.stringify({ type: 'rematchReady', cid: newCid, previousCid: cid, players }));
+      }
+    }
+  }
+
+  function handleQueueMessage(ws, type, { difficulty, language }) {
+    const { username } = ws.identity;
+
+    if (type === 'leaveQueue') {
+      if (queuedSockets.get(username) === ws) {
+        leaveQueue(username, 'Left the queue');
+      }
+      return;
+    }
+
+    const refuse = (code, message) => sendError(ws, code, message, { requestType: type });
+    if (shuttingDown) {
+      refuse(ERROR_CODES.SHUTTING_DOWN, 'Server is shutting down');
+      return;
+    }
+    if (ws.identity.cid) {
+      refuse(ERROR_CODES.TOKEN_BOUND, 'Token is bound to a challenge');
+      return;
+    }
+    const lobby = ws.cid && lobbies.get(ws.cid);
+    if (lobby && !lobby.challengeEnded && lobby.players.get(username)?.socket === ws) {
+      refuse(ERROR_CODES.ALREADY_IN_LOBBY, 'Leave your current challenge before queueing');
+      return;
+    }
+
+    const rating = ws.identity.rating ?? RATING_CONFIG.defaultRating;
+    if (queuedSockets.has(username)) {
+      refuse(ERROR_CODES.ALREADY_QUEUED, 'You are already in the queue');
+      return;
+    }
+    // Queued through another node (e.g. before reconnecting here): this connection takes over
+    matchmaker.remove(username);
+    remoteQueueLeases.delete(username);
+
+    ws.queueEntry = { username, rating, difficulty: difficulty || null, language: language || null, queuedAt: clock.now() };
+    matchmaker.add(ws.queueEntry, ws.queueEntry.queuedAt);
+    queuedSockets.set(username, ws);
+    publishMatchmaking({ kind: 'queued', entry: ws.queueEntry });
+    logger.log(`🎲 "${username}" queued (rating ${rating}, ${difficulty || 'any difficulty'}, ${language || 'any language'})`);
+    sendQueueStatus(username);
+  }
+
+  function leaveQueue(username, reason) {
+    const ws = queuedSockets.get(username);
+    forgetQueuedPlayer(username);
+    logger.log(`🎲 "${username}" left the queue: ${reason}`);
+    if (ws?.readyState === ws.OPEN) {
+      ws.send(JSON.stringify({ type: 'queueLeft', reason }));
+    }
+  }
+
+  // Take one of our players out of the pool on every node
+  function forgetQueuedPlayer(username) {
+    matchmaker.remove(username);
+    queuedSockets.delete(username);
+    matchingPlayers.delete(username);
+    publishMatchmaking({ kind: 'left', username });
+  }
+
+  function publishMatchmaking(message) {
+    cluster.publish('matchmaking', { origin: nodeId, ...message }).catch((err) => {
+      logger.error(`❌ Failed to publish matchmaking ${message.kind}:`, err);
+    });
+  }
+
+  // Other nodes' queue changes, applied to our copy of the pool
+  function handleMatchmakingMessage(message) {
+    if (message.origin === nodeId) return;
+
+    switch (message.kind) {
+      case 'queued': {
+        const { entry } = message;
+        // The player queued again through another node, which now has them
+        const ws = queuedSockets.get(entry.username);
+        if (ws) {
+          queuedSockets.delete(entry.username);
+          if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify({ type: 'queueLeft', reason: 'Queued from another connection' }));
+          }
+        }
+        matchmaker.remove(entry.username);
+        // A group we are creating a challenge for keeps them, the match reaches their new node
+        if (!matchingPlayers.has(entry.username)) {
+          matchmaker.add(entry, entry.queuedAt);
+          remoteQueueLeases.set(entry.username, clock.now() + QUEUE_LEASE);
+        }
+        break;
+      }
+      case 'announce':
+        for (const entry of message.entries) {
+          if (queuedSockets.has(entry.username) || matchingPlayers.has(entry.username)) continue;
+          matchmaker.add(entry, entry.queuedAt);
+          remoteQueueLeases.set(entry.username, clock.now() + QUEUE_LEASE);
+        }
+        break;
+      case 'left':
+        matchmaker.remove(message.username);
+        remoteQueueLeases.delete(message.username);
+        matchingPlayers.delete(message.username);
+        break;
+      case 'matched':
+        deliverMatch(message);
+        break;
+    }
+  }
+
+  function sendQueueStatus(username) {
+    const ws = queuedSockets.get(username);
+    const status = matchmaker.status(username, clock.now());
+    if (status && ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify({ type: 'queueStatus', ...status }));
+    }
+  }
+
+  // Keep our players in every pool, form groups if this node holds the lock,
+  // then update everyone still waiting here
+  function runMatchmaking() {
+    const now = clock.now();
+    if (queuedSockets.size > 0) {
+      publishMatchmaking({ kind: 'announce', entries: Array.from(queuedSockets.values(), (ws) => ws.queueEntry) });
+    }
+    for (const [username, expiresAt] of remoteQueueLeases) {
+      if (expiresAt <= now) {
+        matchmaker.remove(username);
+        remoteQueueLeases.delete(username);
+      }
+    }
+
+    holdMatchmakingLock()
+      .then((held) => {
+        if (held) {
+          for (const match of matchmaker.takeMatches(clock.now())) {
+            createMatchedChallenge(match);
+          }
+        }
+        for (const username of queuedSockets.keys()) {
+          sendQueueStatus(username);
+        }
+      })
+      .catch((err) => {
+        logger.error('❌ Failed to run matchmaking:', err);
+      });
+  }
+
+  async function holdMatchmakingLock() {
+    try {
+      matchmakingLockHeld = matchmakingLockHeld
+        ? await cluster.renewLock('matchmaking', nodeId, MATCHMAKING_LOCK_TTL)
+        : await cluster.acquireLock('matchmaking', nodeId, MATCHMAKING_LOCK_TTL);
+    } catch (err) {
+      logger.error('❌ Failed to hold the matchmaking lock:', err);
+      matchmakingLockHeld = false;
+    }
+    return matchmakingLockHeld;
+  }
+
+  async function createMatchedChallenge({ players, difficulty, language }) {
+    const usernames = players.map((player) => player.username);
+    // Players leave the group through leaveQueue() here or a 'left' message from their node
+    for (const username of usernames) {
+      matchingPlayers.add(username);
+    }
+    const stillQueued = () => players.filter((player) => matchingPlayers.has(player.username));
+
+    try {
+      let cid;
+      try {
+        const data = await backend.request(CREATE_CHALLENGE_MUTATION, { participants: usernames, difficulty, language });
+        cid = data?.createChallenge?.cid;
+        if (!cid) throw new Error('Backend did not return a challenge');
+      } catch (err) {
+        logger.error(`❌ Failed to create a challenge for ${usernames.join(', ')}:`, err);
+        matchmaker.restore(stillQueued());
+        return;
+      }
+
+      // Players may have left, disconnected or joined a lobby while the backend
+      // worked. Nobody gets half a match: the challenge is left unused and the
+      // rest go back in line.
+      const remaining = stillQueued();
+      if (remaining.length < players.length) {
+        logger.warn(`⚠️ Dropping challenge ${cid}: only ${remaining.length} of ${players.length} matched player(s) are still queued`);
+        matchmaker.restore(remaining);
+        return;
+      }
+
+      matchesFormed.inc();
+      logger.log(`🤝 Matched ${usernames.join(', ')} into challenge ${cid}`);
+      const match = { cid, players: usernames, difficulty, language };
+      deliverMatch(match);
+      publishMatchmaking({ kind: 'matched', ...match });
+    } finally {
+      for (const username of usernames) {
+        matchingPlayers.delete(username);
+      }
+    }
+  }
+
+  // Every node sends matchFound to its own players in the match
+  function deliverMatch({ cid, players, difficulty, language }) {
+    for (const username of players) {
+      matchmaker.remove(username);
+      remoteQueueLeases.delete(username);
+      const ws = queuedSockets.get(username);
+      if (!ws) continue;
+      queuedSockets.delete(username);
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify({ type: 'matchFound', cid, players, difficulty, language }));
+      }
+    }
+  }
+
+  // Structured error reply, see messageValidation.js for the codes
+  function sendError(ws, code, message, { field, requestType } = {}) {
+    if (ws.readyState !== ws.OPEN) return;
+    ws.send(JSON.stringify({
+      type: 'error',
+      code,
+      message,
+      ...(field && { field }),
+      ...(requestType && { requestType })
+    }));
+  }
+
+  function negotiateProtocol(ws, { protocolVersion, minProtocolVersion }) {
+    const version = negotiateProtocolVersion({ protocolVersion, minProtocolVersion });
+    if (version === null) {
+      logger.warn(`⚠️ Closing socket speaking unsupported protocol ${minProtocolVersion ?? protocolVersion}-${protocolVersion}`);
+      sendError(ws, ERROR_CODES.UNSUPPORTED_PROTOCOL, `Server speaks protocol version ${PROTOCOL_VERSION}`, { requestType: 'hello' });
+      ws.close(CLOSE_CODES.UNSUPPORTED_PROTOCOL, 'Unsupported protocol version');
+      return;
+    }
+
+    ws.protocolVersion = version;
+    ws.send(JSON.stringify({
+      type: 'welcome',
+      protocolVersion: version,
+      serverVersion: PACKAGE_VERSION
+    }));
+  }
+
+  // Verify a token and bind the identity to the socket
+  function authenticateSocket(ws, token) {
+    try {
+      ws.identity = verifyToken(token, authSecret);
+    } catch (err) {
+      logger.warn(`⚠️ Authentication failed: ${err.message}`);
+      rejectAuth(ws, err.message);
+      return false;
+    }
+
+    logger.log(`🔐 Socket authenticated as "${ws.identity.username}"`);
+    ws.send(JSON.stringify({
+      type: 'authenticated',
+      username: ws.identity.username,
+      cid: ws.identity.cid
+    }));
+    return true;
+  }
+
+  function rejectAuth(ws, reason) {
+    if (ws.readyState !== ws.OPEN) return;
+    ws.send(JSON.stringify({
+      type: 'authError',
+      message: reason
+    }));
+    ws.close(CLOSE_CODES.AUTH_FAILED, 'Authentication failed');
+  }
+
+  // Resolve a client's submission reference to a verified result, replying with
+  // `submissionRejected` and returning null if it cannot be trusted
+  async function verifyPlayerSubmission(ws, cid, username, data) {
+    const { submissionId, codeHash } = data;
+
+    const reject = (code, message) => {
+      logger.warn(`⚠️ Rejected submission from "${username}" in ${cid}: ${message}`);
+      ws.send(JSON.stringify({
+        type: 'submissionRejected',
+        code,
+        message,
+        submissionId: submissionId ?? null,
+        codeHash: codeHash ?? null
+      }));
+      return null;
+    };
+
+    if (!submissionId && !codeHash) {
+      return reject('MISSING_REFERENCE', 'A submissionId or codeHash is required');
+    }
+
+    const result = await submissionVerifier.verify({ cid, username, submissionId, codeHash });
+    if (!result.verified) {
+      return reject(result.code, result.reason);
+    }
+
+    const mismatch = findResultMismatch(data, result);
+    if (mismatch) {
+      return reject('RESULT_MISMATCH', mismatch);
+    }
+
+    return result;
+  }
+
+  // Validate if the authenticated user can join (or watch) the challenge
+  async function validateChallengeAccess(cid, identity, { asSpectator = false } = {}) {
+    const { username } = identity;
+
+    try {
+      const data = await backend.request(GET_CHALLENGE_QUERY, { cid });
+      const challenge = data?.getChallengeById;
+
+      if (!challenge) {
+        return { canJoin: false, reason: 'Challenge not found' };
+      }
+
+      if (challenge.status === 'ENDED') {
+        return { canJoin: false, reason: 'Challenge has already ended' };
+      }
+
+      const config = resolveChallengeConfig(challenge);
+      // The creator hosts the lobby if they play in it
+      const host = challenge.participants?.some((p) => p.username === challenge.createdBy) ? challenge.createdBy : null;
+
+      if (asSpectator) {
+        if (!config.allowSpectators) {
+          return { canJoin: false, reason: 'Spectators are not allowed in this challenge' };
+        }
+        return { canJoin: true, config, host };
+      }
+
+      // Check if user is a participant
+      const participant = challenge.participants?.find(p => p.username === username);
+      if (!participant) {
+        return { canJoin: false, reason: 'You are not a participant in this challenge' };
+      }
+
+      return { canJoin: true, config, host, pid: challenge.pid ?? null, rating: participant.rating ?? null };
+    } catch (error) {
+      logger.error('Error validating challenge access:', error);
+      return { canJoin: false, reason: 'Error validating challenge access' };
+    }
+  }
+
+  // Send the current players, status, timer and rules to one socket
+  function sendLobbyState(ws, cid) {
+    const lobby = lobbies.get(cid);
+    if (!lobby) return;
+    const config = getLobbyConfig(lobby);
+
+    const currentPlayers = getActivePlayers(lobby).map(([playerName, playerData]) => ({
+      ...playerSummary(playerName, cid, playerData),
+      latency: playerData.socket ? playerData.socket.latency : playerData.latency ?? null // Round trip in ms
+    }));
+
+    // Always provide timer info if challenge is in progress, even if timer object is temporarily null
+    let timerInfo = null;
+    if (lobby.timer) {
+      timerInfo = {
+        startTime: lobby.timer.startTime,
+        endTime: lobby.timer.endTime,
+        remainingTime: getRemainingTime(lobby.timer, clock.now()),
+        paused: isTimerPaused(lobby.timer)
+      };
+    } else if (lobby.status === 'IN_PROGRESS') {
+      // Challenge is in progress but timer object not set yet (race condition)
+      // Provide minimal timer info to indicate challenge is active
+      const now = clock.now();
+      timerInfo = {
+        startTime: now,
+        endTime: now + config.duration,
+        remainingTime: config.duration,
+        isEstimated: true // Flag to indicate this is estimated
+      };
+    }
+
+    ws.send(JSON.stringify({
+      type: 'lobbyState',
+      players: currentPlayers,
+      status: lobby.status,
+      timer: timerInfo,
+      config,
+      sequence: lobby.lastSequence, // Resume from here
+      spectatorCount: getSpectatorCount(lobby),
+      chat: lobby.chatHistory,
+      chatMuted: isChatMuted(lobby),
+      host: lobby.host,
+      locked: lobby.locked,
+      minReady: lobby.minReady,
+      countdown: lobby.countdown && { endsAt: lobby.countdown.endsAt, reason: lobby.countdown.reason },
+      finalScores: lobby.finalScores ?? null,
+      progress: Object.fromEntries(Array.from(getProgressSeries(lobby), ([username, series]) => [username, compactProgress(series)]))
+    }));
+  }
+
+  // Progress series of everyone who took part, see progress.js
+  function getProgressSeries(lobby) {
+    const participants = [
+      ...lobby.players.entries(),
+      ...lobby.completedPlayers.entries(),
+      ...Array.from(lobby.disconnectedPlayers.entries(), ([username, { playerData }]) => [username, playerData]),
+      ...lobby.remotePlayers.entries()
+    ];
+    return new Map(participants.map(([username, playerData]) => [username, playerData.progress || []]));
+  }
+
+  // Replay the events a reconnecting client missed, or send a full snapshot if
+  // they are no longer buffered
+  async function resumeLobbyEvents(ws, cid, username, lastSequence) {
+    const lobby = lobbies.get(cid);
+    if (!lobby) return;
+
+    // Let events already being broadcast land in the buffer first. The socket
+    // is back in the lobby already, so deliverToLocalPlayers holds those events
+    // back from it; they are part of the replay below.
+    ws.resuming = true;
+    try {
+      await lobby.broadcastQueue;
+    } finally {
+      ws.resuming = false;
+    }
+
+    const missedEvents = getEventsSince(lobby, lastSequence, username);
+    if (missedEvents === null) {
+      logger.log(`🔁 "${username}" resumed lobby ${cid} from ${lastSequence}, sending full snapshot`);
+      sendLobbyState(ws, cid);
+      ws.send(JSON.stringify({ type: 'resumed', sequence: lobby.lastSequence, snapshot: true }));
+      return;
+    }
+
+    logger.log(`🔁 "${username}" resumed lobby ${cid} from ${lastSequence}, replaying ${missedEvents.length} event(s)`);
+    for (const event of missedEvents) {
+      ws.send(JSON.stringify(event));
+    }
+    ws.send(JSON.stringify({
+      type: 'resumed',
+      sequence: lobby.lastSequence,
+      snapshot: false,
+      replayed: missedEvents.length
+    }));
+  }
+
+  // Chat is muted while a challenge runs so nobody can share solutions
+  function isChatMuted(lobby) {
+    return CHAT_CONFIG.muteDuringChallenge && lobby.status === 'IN_PROGRESS';
+  }
+
+  // Moderate a chat message and share it with the lobby
+  function handleChatMessage(ws, cid, username, data, { spectator = false } = {}) {
+    const lobby = lobbies.get(cid);
+    if (!lobby) return;
+
+    const rejectChat = (code, message) => {
+      sendError(ws, code, message, { requestType: 'chatMessage' });
+    };
+
+    if (isChatMuted(lobby)) {
+      return rejectChat(ERROR_CODES.CHAT_MUTED, 'Chat is muted while the challenge is in progress');
+    }
+
+    const text = typeof data.text === 'string' ? data.text.trim() : '';
+    if (!text) {
+      return rejectChat(ERROR_CODES.EMPTY_MESSAGE, 'Message is empty');
+    }
+    if (text.length > CHAT_CONFIG.maxLength) {
+      return rejectChat(ERROR_CODES.MESSAGE_TOO_LONG, `Messages are limited to ${CHAT_CONFIG.maxLength} characters`);
+    }
+
+    if (!chatRateLimiter.allow(`${cid}:${username}`)) {
+      return rejectChat(ERROR_CODES.RATE_LIMITED, 'You are sending messages too quickly');
+    }
+
+    const filtered = filterChat(text);
+    if (filtered.blocked && chatBlocklistMode === 'reject') {
+      logger.warn(`⚠️ Blocked chat message from "${username}" in lobby: ${cid}`);
+      return rejectChat(ERROR_CODES.MESSAGE_BLOCKED, 'Message contains blocked words');
+    }
+
+    const chatMessage = createChatMessage({ username, text: filtered.text, spectator, sentAt: clock.now() });
+    recordEvent(cid, { direction: 'in', username, spectator: spectator || undefined, message: { ...data, text: filtered.text } });
+    appendChatHistory(lobby.chatHistory, chatMessage);
+    persistLobby(cid);
+    logger.log(`💬 "${username}" in lobby ${cid}: ${filtered.text.length} chars`);
+
+    broadcast(cid, {
+      type: 'chatMessage',
+      message: chatMessage
+    });
+  }
+
+  // Admit a socket as a spectator and send it the current snapshot
+  function addSpectator(ws, cid) {
+    const lobby = lobbies.get(cid);
+    if (!lobby || lobby.spectators.has(ws)) return;
+    const { allowSpectators, maxSpectators } = getLobbyConfig(lobby);
+
+    if (!allowSpectators) {
+      ws.send(JSON.stringify({
+        type: 'spectateError',
+        message: 'Spectators are not allowed in this challenge'
+      }));
+      return;
+    }
+
+    if (maxSpectators > 0 && getSpectatorCount(lobby) >= maxSpectators) {
+      ws.send(JSON.stringify({
+        type: 'spectateError',
+        message: `This challenge already has the maximum of ${maxSpectators} spectators`
+      }));
+      return;
+    }
+
+    lobby.spectators.add(ws);
+    logger.log(`👀 "${ws.identity.username}" is spectating lobby: ${cid} (${getSpectatorCount(lobby)} spectator(s))`);
+
+    sendLobbyState(ws, cid);
+    syncSpectators(cid);
+    broadcast(cid, {
+      type: 'spectatorCount',
+      count: getSpectatorCount(lobby)
+    });
+  }
+
+  function removeSpectator(ws) {
+    for (const [cid, lobby] of lobbies.entries()) {
+      if (lobby.spectators.delete(ws)) {
+        logger.log(`👋 Spectator "${ws.identity?.username}" left lobby: ${cid}`);
+        syncSpectators(cid);
+        broadcast(cid, {
+          type: 'spectatorCount',
+          count: getSpectatorCount(lobby)
+        });
+        return;
+      }
+    }
+  }
+
+  // Spectators across the whole cluster
+  function getSpectatorCount(lobby) {
+    let count = lobby.spectators.size;
+    for (const remoteCount of lobby.remoteSpectatorCounts.values()) {
+      count += remoteCount;
+    }
+    return count;
+  }
+
+  // Lobbies without a config (e.g. created before the challenge was fetched) use the defaults
+  function getLobbyConfig(lobby) {
+    return lobby?.config || DEFAULT_CHALLENGE_CONFIG;
+  }
+
+  // Players currently playing in the lobby, on this node or any other
+  function getActivePlayers(lobby) {
+    const remoteActive = Array.from(lobby.remotePlayers.entries())
+      .filter(([, playerData]) => playerData.state === 'active');
+    return [...lobby.players.entries(), ...remoteActive];
+  }
+
+  // Start the challenge once everyone is ready; only one node in the cluster wins the start
+  async function maybeStartChallenge(cid) {
+    const lobby = lobbies.get(cid);
+    if (!lobby || lobby.status !== 'WAITING' || lobby.started) return;
+
+    const activePlayers = getActivePlayers(lobby);
+    const readyCount = activePlayers.filter(([, p]) => p.ready).length;
+    const allReady = activePlayers.length > 0 && readyCount === activePlayers.length;
+    if (!allReady) {
+      // Enough ready players count down to a start, run by the host's node
+      const enoughReady = Boolean(lobby.minReady) && readyCount >= lobby.minReady;
+      if (enoughReady && !lobby.countdown && lobby.players.has(lobby.host)) {
+        startCountdown(cid, `${readyCount} of ${activePlayers.length} players are ready`, { cancellable: true });
+      } else if (!enoughReady && lobby.countdown?.cancellable && lobby.countdown.timeoutId) {
+        cancelCountdown(cid, 'Not enough players are ready');
+      }
+      return;
+    }
+
+    // Tournament matches also wait for every paired player
+    const tournamentMatch = tournamentMatches.get(cid);
+    if (tournamentMatch && !tournamentMatch.players.every((username) => activePlayers.some(([name]) => name === username))) {
+      return;
+    }
+
+    logger.log(`🚀 All players ready in ${cid}. Starting challenge...`);
+    await startChallenge(cid);
+  }
+
+  // Start a waiting lobby's challenge (everyone ready, a countdown ran out, or
+  // forced by an admin). Returns false if another node won the start.
+  async function startChallenge(cid) {
+    const lobby = lobbies.get(cid);
+    if (!lobby || lobby.status !== 'WAITING') return false;
+
+    clock.clearTimeout(lobby.countdown?.timeoutId);
+    lobby.countdown = null;
+    lobby.started = true;
+    let won;
+    try {
+      won = await cluster.acquireLock(`lobby:${cid}:start`, nodeId, ONCE_LOCK_TTL);
+    } catch (err) {
+      // Nobody has started it, the next ready-up or forceStart tries again
+      lobby.started = false;
+      throw err;
+    }
+    if (!won) {
+      logger.log(`🔀 Challenge ${cid} is being started by another node`);
+      return false;
+    }
+
+    await startChallengeInBackend(cid);
+    startChallengeTimer(cid);
+    return true;
+  }
+
+  // Start challenge timer
+  function startChallengeTimer(cid) {
+    const lobby = lobbies.get(cid);
+    if (!lobby) return;
+
+    const { duration, totalTests } = getLobbyConfig(lobby);
+    const startTime = clock.now();
+
+    lobby.status = 'IN_PROGRESS';
+    lobby.timer = {
+      ...createTimer(startTime, duration),
+      intervalId: null,
+      backupTimeoutId: null
+    };
+
+    logger.log(`⏰ Started ${duration / 60000}-minute timer for challenge: ${cid}`);
+    persistLobby(cid);
+    syncLobby(cid);
+
+    // Broadcast timer start
+    broadcast(cid, {
+      type: 'timerStarted',
+      startTime,
+      endTime: lobby.timer.endTime,
+      duration,
+      totalTests
+    });
+
+    claimChallengeTimer(cid).catch((err) => {
+      logger.error(`❌ Failed to claim timer for lobby ${cid}:`, err);
+    });
+  }
+
+  // Become the node that runs this lobby's countdown, if no other node does
+  async function claimChallengeTimer(cid) {
+    const lobby = lobbies.get(cid);
+    if (!lobby?.timer || lobby.timer.intervalId || lobby.challengeEnded) return false;
+
+    if (!(await cluster.acquireLock(`lobby:${cid}:timer`, nodeId, TIMER_LOCK_TTL))) {
+      return false;
+    }
+
+    // The lobby may have changed while we were waiting for the lock
+    if (!lobby.timer || lobby.timer.intervalId || lobby.challengeEnded) return false;
+
+    logger.log(`⏱️ Node ${nodeId} owns the timer for challenge: ${cid}`);
+    armChallengeTimer(cid);
+    return true;
+  }
+
+  // Run the countdown towards lobby.timer.endTime (also used to re-arm restored lobbies).
+  // The end time is read on every tick so pauses and extensions take effect immediately.
+  function armChallengeTimer(cid) {
+    const lobby = lobbies.get(cid);
+    if (!lobby?.timer) return;
+
+    // Set up timer updates every second
+    lobby.timer.intervalId = clock.setInterval(async () => {
+      try {
+        // Stop counting if another node has taken the timer over
+        if (!(await cluster.renewLock(`lobby:${cid}:timer`, nodeId, TIMER_LOCK_TTL))) {
+          logger.warn(`⚠️ Lost timer ownership for challenge: ${cid}`);
+          stopChallengeTimer(lobby);
+          return;
+        }
+      } catch (err) {
+        // Keep ticking; the next tick tries again, and the lock expires if the cluster stays down
+        logger.error(`❌ Failed to renew timer lock for challenge ${cid}:`, err);
+        return;
+      }
+
+      // Keep the lock while paused, but stop counting down
+      if (!lobby.timer || isTimerPaused(lobby.timer)) return;
+
+      const remainingTime = getRemainingTime(lobby.timer, clock.now());
+
+      broadcast(cid, {
+        type: 'timerUpdate',
+        remainingTime
+      });
+
+      // End challenge when timer reaches zero
+      if (remainingTime <= 0) {
+        stopChallengeTimer(lobby);
+        endChallenge(cid, 'Timer expired').catch((err) => {
+          logger.error(`❌ Failed to end challenge ${cid}:`, err);
+        });
+      }
+    }, 1000);
+
+    scheduleTimerBackup(cid);
+  }
+
+  // Backup timeout in case the interval falls behind. Re-armed whenever the end
+  // time moves; while paused it is cleared and the resume re-arms it.
+  function scheduleTimerBackup(cid) {
+    const lobby = lobbies.get(cid);
+    if (!lobby?.timer) return;
+
+    clock.clearTimeout(lobby.timer.backupTimeoutId);
+    lobby.timer.backupTimeoutId = null;
+    if (!lobby.timer.intervalId || isTimerPaused(lobby.timer)) return;
+
+    lobby.timer.backupTimeoutId = clock.setTimeout(() => {
+      if (!lobby.timer?.intervalId) return;
+      if (isTimerExpired(lobby.timer, clock.now())) {
+        stopChallengeTimer(lobby);
+        endChallenge(cid, 'Timer expired').catch((err) => {
+          logger.error(`❌ Failed to end challenge ${cid}:`, err);
+        });
+      } else {
+        scheduleTimerBackup(cid);
+      }
+    }, getRemainingTime(lobby.timer, clock.now()));
+  }
+
+  // Clear this node's countdown handles (the timer data itself is kept)
+  function stopChallengeTimer(lobby) {
+    if (!lobby.timer) return;
+    clock.clearInterval(lobby.timer.intervalId);
+    clock.clearTimeout(lobby.timer.backupTimeoutId);
+    lobby.timer.intervalId = null;
+    lobby.timer.backupTimeoutId = null;
+  }
+
+  // Freeze the countdown; the remaining time is kept until the timer is resumed
+  function pauseChallengeTimer(cid, reason) {
+    const lobby = lobbies.get(cid);
+    if (!lobby?.timer || lobby.status !== 'IN_PROGRESS' || !pauseTimer(lobby.timer, clock.now())) return false;
+
+    logger.log(`⏸️ Paused timer for challenge ${cid} with ${lobby.timer.remainingTime / 1000}s left`);
+    shareTimerChange(cid);
+    broadcast(cid, {
+      type: 'timerPaused',
+      remainingTime: lobby.timer.remainingTime,
+      pausedAt: lobby.timer.pausedAt,
+      reason
+    });
+    return true;
+  }
+
+  function resumeChallengeTimer(cid, reason) {
+    const lobby = lobbies.get(cid);
+    if (!lobby?.timer || lobby.status !== 'IN_PROGRESS' || !resumeTimer(lobby.timer, clock.now())) return false;
+
+    logger.log(`▶️ Resumed timer for challenge ${cid}`);
+    shareTimerChange(cid);
+    broadcast(cid, {
+      type: 'timerResumed',
+      endTime: lobby.timer.endTime,
+      remainingTime: getRemainingTime(lobby.timer, clock.now()),
+      reason
+    });
+    return true;
+  }
+
+  function extendChallengeTimer(cid, ms, reason) {
+    const lobby = lobbies.get(cid);
+    if (!lobby?.timer || lobby.status !== 'IN_PROGRESS' || !extendTimer(lobby.timer, ms)) return false;
+
+    logger.log(`⏩ Extended timer for challenge ${cid} by ${ms / 1000}s`);
+    shareTimerChange(cid);
+    broadcast(cid, {
+      type: 'timerExtended',
+      extendedBy: ms,
+      endTime: lobby.timer.endTime,
+      remainingTime: getRemainingTime(lobby.timer, clock.now()),
+      paused: isTimerPaused(lobby.timer),
+      reason
+    });
+    return true;
+  }
+
+  // Persist a changed timer, share it with the other nodes and re-arm the backup
+  function shareTimerChange(cid) {
+    persistLobby(cid);
+    syncLobby(cid);
+    scheduleTimerBackup(cid);
+  }
+
+
+  async function endChallenge(cid, reason) {
+    const lobby = lobbies.get(cid);
+    if (!lobby || lobby.challengeEnded) return;
+
+    lobby.challengeEnded = true;
+    stopChallengeTimer(lobby);
+
+    // Only one node scores the challenge and reports it to the backend
+    let won;
+    try {
+      won = await cluster.acquireLock(`lobby:${cid}:end`, nodeId, ONCE_LOCK_TTL);
+    } catch (err) {
+      // Not ended after all: claimOrphanedTimers picks the timer up again and
+      // it ends the challenge on its next tick if time is up
+      lobby.challengeEnded = false;
+      throw err;
+    }
+    if (!won) {
+      logger.log(`🔀 Challenge ${cid} is being ended by another node`);
+      return;
+    }
+
+    logger.log(`🏁 Ending challenge ${cid}. Reason: ${reason}`);
+
+    if (lobby.status === 'IN_PROGRESS' && lobby.timer) {
+      challengeDuration.observe((clock.now() - lobby.timer.startTime) / 1000);
+    }
+    lobby.status = 'ENDED';
+    persistLobby(cid);
+    syncLobby(cid);
+
+    // Everyone who took part: still playing, finished early, inside their grace
+    // period (or not yet back after a restart), or connected to another node
+    const toRanked = (username, playerData, rawScore) => ({
+      username,
+      rawScore,
+      testsPassed: playerData.submittedTestsPassed || 0,
+      submittedAt: playerData.submittedAt ?? null,
+      completedAt: playerData.completedAt ?? null,
+      wrongSubmissions: playerData.wrongSubmissions || 0,
+      rating: playerData.rating ?? RATING_CONFIG.defaultRating
+    });
+    const allPlayers = [
+      ...Array.from(lobby.players.entries()).map(([username, playerData]) =>
+        toRanked(username, playerData, playerData.submittedResults || 0)),
+      ...Array.from(lobby.completedPlayers.entries()).map(([username, playerData]) =>
+        toRanked(username, playerData, playerData.finalScore || playerData.submittedResults || 0)),
+      ...Array.from(lobby.disconnectedPlayers.entries()).map(([username, { playerData }]) =>
+        toRanked(username, playerData, playerData.submittedResults || 0)),
+      ...Array.from(lobby.remotePlayers.entries()).map(([username, playerData]) =>
+        toRanked(username, playerData, playerData.submittedResults || 0))
+    ];
+
+    // Bonuses, penalties and tie-breaks, see ranking.js
+    const { duration, totalTests } = getLobbyConfig(lobby);
+    const participantScores = rankPlayers(allPlayers, {
+      startTime: lobby.timer?.startTime ?? clock.now(),
+      duration,
+      totalTests,
+      policy: ranking
+    });
+
+    // Ratings move by finishing position, see ratings.js
+    const ratingsBefore = new Map(allPlayers.map((player) => [player.username, player.rating]));
+    const ratingChanges = computeRatingChanges(participantScores.map(({ username, rank }) => ({
+      username,
+      rank,
+      rating: ratingsBefore.get(username)
+    })));
+
+    logger.log(`📊 Final scores for ${cid}:`, participantScores);
+
+    lobby.finalScores = participantScores.map((player, index) => ({
+      ...player,
+      oldRating: ratingChanges[index].oldRating,
+      newRating: ratingChanges[index].newRating
+    }));
+    const progress = Array.from(getProgressSeries(lobby), ([username, points]) => ({ username, points }));
+    broadcast(cid, {
+      type: 'challengeEnded',
+      reason,
+      finalScores: lobby.finalScores,
+      progress
+    });
+
+
+    // Tournament matches report back to the node running the tournament
+    if (tournamentMatches.has(cid)) {
+      publishTournament({
+        kind: 'result',
+        cid,
+        ranks: Object.fromEntries(participantScores.map(({ username, rank }) => [username, rank]))
+      });
+    }
+
+    // `challengeEndedConfirmed` is broadcast from handleOutboxDelivered once the backend acknowledges
+    try {
+      await outbox.enqueue('endChallenge', cid, { cid, participantScores, ratingChanges, progress });
+    } catch (err) {
+      logger.error(`❌ Failed to queue endChallenge for ${cid}:`, err);
+    }
+
+    scheduleLobbyCleanup(cid);
+  }
+
+  // Clean up lobby after a delay
+  function scheduleLobbyCleanup(cid) {
+    const lobby = lobbies.get(cid);
+    if (!lobby || lobby.cleanupScheduled) return;
+    lobby.cleanupScheduled = true;
+
+    const cleanup = () => {
+      const lobby = lobbies.get(cid);
+      // An open rematch vote still needs the lobby
+      if (lobby?.rematch?.status === 'voting' || lobby?.rematch?.status === 'creating') {
+        clock.setTimeout(cleanup, Math.max(1000, lobby.rematch.expiresAt - clock.now()));
+        return;
+      }
+      if (lobby) {
+        // Clear any remaining disconnect timers
+        for (const [username, disconnectedPlayer] of lobby.disconnectedPlayers.entries()) {
+          if (disconnectedPlayer.disconnectTimer) {
+            clock.clearTimeout(disconnectedPlayer.disconnectTimer);
+            logger.log(`🧹 Cleared disconnect timer for "${username}" during lobby cleanup`);
+          }
+        }
+      }
+      clock.clearTimeout(lobby?.rematch?.timeoutId);
+      removeLobby(cid);
+      logger.log(`🗑️ Cleaned up lobby: ${cid}`);
+    };
+    clock.setTimeout(cleanup, 30000); // Keep lobby for 30 seconds for final data
+  }
+
+  // Deliver a queued backend mutation; throwing keeps it in the outbox
+  async function sendOutboxEntry(entry) {
+    switch (entry.kind) {
+      case 'endChallenge': {
+        const data = await backend.request(END_CHALLENGE_MUTATION, entry.variables);
+        if (!data?.endChallenge) {
+          throw new Error('Backend did not confirm endChallenge');
+        }
+        return data.endChallenge;
+      }
+      default:
+        // Unknown entries are dropped rather than retried forever
+        logger.warn('⚠️ Unknown outbox entry kind:', entry.kind);
+        return null;
+    }
+  }
+
+  function handleOutboxDelivered(entry, result) {
+    if (entry.kind === 'endChallenge') {
+      logger.log(`✅ Challenge ended in backend for ${entry.cid}:`, result);
+
+      // Broadcast final results
+      broadcast(entry.cid, {
+        type: 'challengeEndedConfirmed',
+        data: result
+      });
+    }
+  }
+
+  // Schedule player disconnect with a grace period that depends on the lobby status
+  function schedulePlayerDisconnect(ws) {
+    for (const [cid, lobby] of lobbies.entries()) {
+      for (const [username, player] of lobby.players.entries()) {
+        if (player.socket === ws) {
+          const gracePeriod = getLobbyConfig(lobby).gracePeriods[lobby.status] ?? 5000;
+          logger.log(`⏳ Player "${username}" disconnected from lobby: ${cid}, starting ${gracePeriod / 1000}-second grace period...`);
+
+          // Move player to disconnected players with their data
+          const playerData = { ...player };
+          const disconnectTimer = clock.setTimeout(() => {
+            logger.log(`⏰ Grace period expired for "${username}", permanently disconnecting...`);
+            handlePlayerDisconnect(username, cid);
+          }, gracePeriod);
+
+          lobby.disconnectedPlayers.set(username, {
+            playerData,
+            disconnectTimer,
+            disconnectedAt: clock.now()
+          });
+
+          // Remove from active players but don't notify others yet
+          lobby.players.delete(username);
+          persistLobby(cid);
+          syncPlayer(cid, username);
+
+          // Notify others that player is temporarily disconnected
+          broadcast(cid, {
+            type: 'playerDisconnected',
+            player: { username, cid },
+            temporary: true,
+            gracePeriod
+          });
+
+          return;
+        }
+      }
+    }
+  }
+
+  // Handle player disconnect (after grace period or immediate for cleanup)
+  function handlePlayerDisconnect(username, cid) {
+    const lobby = lobbies.get(cid);
+    if (!lobby) return;
+
+    logger.log(`👋 User "${username}" permanently disconnected from lobby: ${cid}`);
+
+    // Remove from disconnected players if they're there
+    if (lobby.disconnectedPlayers.has(username)) {
+      const disconnectedPlayer = lobby.disconnectedPlayers.get(username);
+      if (disconnectedPlayer.disconnectTimer) {
+        clock.clearTimeout(disconnectedPlayer.disconnectTimer);
+      }
+      lobby.disconnectedPlayers.delete(username);
+    }
+    chatRateLimiter.forget(`${cid}:${username}`);
+
+    // If challenge is in progress and user disconnects, use their latest score
+    if (lobby.status === 'IN_PROGRESS' && !lobby.challengeEnded) {
+      logger.log(`📊 Recording final score for disconnected user "${username}"`);
+    }
+
+    logger.log(`📊 Lobby ${cid} now has ${lobby.players.size} active player(s) and ${lobby.disconnectedPlayers.size} temporarily disconnected`);
+
+    syncPlayer(cid, username);
+
+    // Check if lobby should be ended or cleaned up
+    const totalPlayers = lobby.players.size + lobby.disconnectedPlayers.size + lobby.remotePlayers.size;
+
+    // If no players left (active or disconnected) and challenge was in progress, end it
+    if (totalPlayers === 0 && lobby.status === 'IN_PROGRESS' && !lobby.challengeEnded) {
+      logger.log(`🏁 All players disconnected from ${cid}, ending challenge`);
+      endChallenge(cid, 'All players disconnected').catch((err) => {
+        logger.error(`❌ Failed to end challenge ${cid}:`, err);
+      });
+    } else if (totalPlayers === 0 && lobby.status === 'WAITING') {
+      // Clean up empty waiting lobbies
+      removeLobby(cid);
+      logger.log(`🗑️ Empty waiting lobby ${cid} removed`);
+    } else if (lobby.players.size > 0) {
+      // Notify remaining active players
+      broadcast(cid, {
+        type: 'playerLeft',
+        player: { username, cid },
+        permanent: true
+      });
+    }
+
+    // Hosting passes to the longest-present player still here
+    if (lobbies.has(cid) && lobby.host === username && lobby.status === 'WAITING') {
+      const [next] = getActivePlayers(lobby).find(([name]) => name !== username) || [];
+      setHost(cid, next ?? null, `${username} left`);
+    }
+
+    persistLobby(cid);
+  }
+
+  // Original handlePlayerDisconnect function (kept for legacy WebSocket-based cleanup)
+  function handlePlayerDisconnectLegacy(ws) {
+    for (const [cid, lobby] of lobbies.entries()) {
+      for (const [username, player] of lobby.players.entries()) {
+        if (player.socket === ws) {
+          logger.log(`👋 User "${username}" disconnected from lobby: ${cid}`);
+
+          // If challenge is in progress and user disconnects, use their latest score
+          if (lobby.status === 'IN_PROGRESS' && !lobby.challengeEnded) {
+            logger.log(`📊 Recording final score for disconnected user "${username}": ${player.latestScore}`);
+          }
+
+          lobby.players.delete(username);
+          logger.log(`📊 Lobby ${cid} now has ${lobby.players.size} player(s)`);
+
+          // If no players left and challenge was in progress, end it
+          if (lobby.players.size === 0 && lobby.status === 'IN_PROGRESS' && !lobby.challengeEnded) {
+            logger.log(`🏁 All players disconnected from ${cid}, ending challenge`);
+            endChallenge(cid, 'All players disconnected').catch((err) => {
+              logger.error(`❌ Failed to end challenge ${cid}:`, err);
+            });
+          } else if (lobby.players.size === 0 && lobby.status === 'WAITING') {
+
+            if (lobby.disconnectedPlayers.size === 0) {
+              removeLobby(cid);
+              logger.log(`🗑️ Empty waiting lobby ${cid} removed`);
+            } else {
+              logger.log(`⏳ Waiting lobby ${cid} has ${lobby.disconnectedPlayers.size} disconnected players, keeping alive`);
+            }
+          } else if (lobby.players.size > 0) {
+            // Notify remaining players
+            broadcast(cid, {
+              type: 'playerLeft',
+              player: { username, cid }
+            });
+          }
+          return;
+        }
+      }
+    }
+  }
+
+  // Send to every player in the lobby, on this node and (through the cluster) all others.
+  // Events get a cluster-wide sequence number and are buffered for `resume`.
+  function broadcast(cid, message, excludeSocket = null) {
+    const lobby = lobbies.get(cid);
+    const excludeUsername = excludeSocket?.identity?.username ?? null;
+    broadcastsSent.inc({ type: message.type });
+
+    if (!lobby || UNSEQUENCED_EVENTS.has(message.type)) {
+      recordEvent(cid, { direction: 'out', message });
+      deliverToLocalPlayers(cid, message, excludeSocket);
+      publishLobbyEvent(cid, message, excludeUsername);
+      return;
+    }
+
+    // Chained so events go out in the order they were broadcast
+    lobby.broadcastQueue = (lobby.broadcastQueue || Promise.resolve())
+      .then(async () => {
+        let event;
+        try {
+          const sequence = await cluster.nextSequence(`lobby:${cid}:sequence`, lobby.lastSequence);
+          event = { ...message, sequence };
+          recordLobbyEvent(lobby, event, excludeUsername);
+        } catch (err) {
+          // Players still get the event, it just cannot be replayed to a resuming client
+          logger.error(`❌ Failed to number "${message.type}" in lobby ${cid}, sending it without a sequence:`, err);
+          event = message;
+        }
+        recordEvent(cid, { direction: 'out', message: event });
+        deliverToLocalPlayers(cid, event, excludeSocket);
+        publishLobbyEvent(cid, event, excludeUsername);
+      })
+      .catch((err) => {
+        logger.error(`❌ Failed to broadcast "${message.type}" in lobby ${cid}:`, err);
+      });
+  }
+
+  function publishLobbyEvent(cid, message, excludeUsername) {
+    cluster.publish(`lobby:${cid}`, {
+      origin: nodeId,
+      kind: 'event',
+      message,
+      excludeUsername
+    }).catch((err) => {
+      logger.error(`❌ Failed to publish "${message.type}" for lobby ${cid}:`, err);
+    });
+  }
+
+  function deliverToLocalPlayers(cid, message, excludeSocket = null, excludeUsername = null) {
+    const lobby = lobbies.get(cid);
+    if (!lobby) return;
+
+    let sentCount = 0;
+    for (const [username, { socket }] of lobby.players.entries()) {
+      if (socket.resuming && message.sequence !== undefined) continue;
+      if (socket.readyState === socket.OPEN && socket !== excludeSocket && username !== excludeUsername) {
+        socket.send(JSON.stringify(message));
+        sentCount++;
+      }
+    }
+
+    // Spectators see every lobby event
+    for (const socket of lobby.spectators) {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+        sentCount++;
+      }
+    }
+
+    broadcastFanout.observe(sentCount);
+    logger.log(`📢 Broadcasted "${message.type}" to ${sentCount} player(s) in lobby: ${cid}`);
+  }
+
+  // Append to the lobby's event log. Each node records the messages it receives
+  // and the broadcasts it makes.
+  function recordEvent(cid, entry) {
+    eventLog.append(cid, { at: clock.now(), ...entry }).catch((err) => {
+      logger.error(`❌ Failed to record event for lobby ${cid}:`, err);
+    });
+  }
+
+  // A finished challenge's log is open to admins and the players who took part,
+  // as long as their token is not bound to another challenge.
+  // Returns null if `identity` may read it, otherwise { status, code, message }.
+  function checkEventLogAccess(cid, entries, identity) {
+    if (identity.cid && identity.cid !== cid) {
+      return { status: 403, code: ERROR_CODES.FORBIDDEN, message: 'Token is not valid for this challenge' };
+    }
+    if (entries.length === 0) {
+      return { status: 404, code: ERROR_CODES.NOT_FOUND, message: 'No events recorded for this challenge' };
+    }
+    if (!entries.some((entry) => entry.direction === 'out' && entry.message.type === 'challengeEnded')) {
+      return { status: 409, code: ERROR_CODES.NOT_ENDED, message: 'Challenge has not ended yet' };
+    }
+    const tookPart = entries.some((entry) => entry.direction === 'in' && entry.username === identity.username && !entry.spectator);
+    if (identity.role !== 'admin' && !tookPart) {
+      return { status: 403, code: ERROR_CODES.FORBIDDEN, message: 'Only players of this challenge can see its events' };
+    }
+    return null;
+  }
+
+  // Stream a finished challenge's broadcasts to one socket, as they were sent
+  // and with their original spacing divided by `speed`
+  async function handleReplayMessage(ws, type, { cid, speed = 1 }) {
+    stopReplay(ws);
+    if (type === 'stopReplay') return;
+
+    const refuse = (code, message) => sendError(ws, code, message, { requestType: type });
+    if (!REPLAY_SPEEDS.includes(speed)) {
+      refuse(ERROR_CODES.INVALID_SPEED, `"speed" must be one of: ${REPLAY_SPEEDS.join(', ')}`);
+      return;
+    }
+    const entries = await eventLog.read(cid);
+    const problem = checkEventLogAccess(cid, entries, ws.identity);
+    if (problem) {
+      refuse(problem.code, problem.message);
+      return;
+    }
+
+    const frames = getReplayFrames(entries, speed);
+    logger.log(`📼 Replaying ${frames.length} event(s) of ${cid} at ${speed}x for "${ws.identity.username}"`);
+    ws.send(JSON.stringify({ type: 'replayStarted', cid, speed, events: frames.length, duration: frames[frames.length - 1].delay }));
+
+    ws.replay = { cid, timer: null };
+    replaySockets.add(ws);
+    let index = 0;
+    const playNext = () => {
+      if (ws.readyState !== ws.OPEN) {
+        stopReplay(ws);
+        return;
+      }
+      // Without its sequence, so clients don't take it for one of their own lobby's events
+      ws.send(JSON.stringify({ ...frames[index].message, sequence: undefined }));
+      index++;
+      if (index === frames.length) {
+        stopReplay(ws);
+        ws.send(JSON.stringify({ type: 'replayFinished', cid }));
+        return;
+      }
+      ws.replay.timer = clock.setTimeout(playNext, frames[index].delay - frames[index - 1].delay);
+    };
+    playNext();
+  }
+
+  function stopReplay(ws) {
+    if (!ws.replay) return;
+    clock.clearTimeout(ws.replay.timer);
+    ws.replay = null;
+    replaySockets.delete(ws);
+  }
+
+  // Snapshot a lobby after it changes
+  function persistLobby(cid) {
+    const lobby = lobbies.get(cid);
+    if (!lobby) return;
+    lobbyStore.save(cid, serializeLobby(lobby)).catch((err) => {
+      logger.error(`❌ Failed to persist lobby ${cid}:`, err);
+    });
+  }
+
+  function removeLobby(cid) {
+    lobbies.delete(cid);
+    chatRateLimiter.prune();
+    cluster.unsubscribe(`lobby:${cid}`).catch((err) => {
+      logger.error(`❌ Failed to leave cluster channel for lobby ${cid}:`, err);
+    });
+    lobbyStore.remove(cid).catch((err) => {
+      logger.error(`❌ Failed to remove lobby ${cid} from store:`, err);
+    });
+  }
+
+  // Rehydrate lobbies saved before the last shutdown or crash
+  async function restoreLobbies() {
+    const snapshots = await lobbyStore.load();
+
+    for (const [cid, snapshot] of snapshots) {
+      if (cid.startsWith(TOURNAMENT_KEY_PREFIX)) {
+        await restoreTournament(cid, snapshot);
+        continue;
+      }
+      if (snapshot.challengeEnded) {
+        // Results were already broadcast, nothing left to resume
+        await lobbyStore.remove(cid);
+        continue;
+      }
+
+      const lobby = deserializeLobby(snapshot);
+      lobbies.set(cid, lobby);
+      await joinLobbyChannel(cid);
+      logger.log(`♻️ Restored lobby ${cid} (${lobby.status}) with ${lobby.disconnectedPlayers.size + lobby.completedPlayers.size} player(s)`);
+
+      if (lobby.status === 'IN_PROGRESS' && lobby.timer && isTimerExpired(lobby.timer, clock.now())) {
+        logger.log(`⏰ Challenge ${cid} expired while the server was down`);
+        await endChallenge(cid, 'Timer expired');
+        continue;
+      }
+
+      // Nobody could reconnect while the server was down, so every player gets a fresh grace period
+      for (const [username, disconnectedPlayer] of lobby.disconnectedPlayers.entries()) {
+        disconnectedPlayer.disconnectTimer = clock.setTimeout(() => {
+          logger.log(`⏰ Restore grace period expired for "${username}", permanently disconnecting...`);
+          handlePlayerDisconnect(username, cid);
+        }, RESTORE_GRACE_PERIOD);
+      }
+
+      if (lobby.status === 'IN_PROGRESS' && lobby.timer) {
+        await claimChallengeTimer(cid);
+      } else if (lobby.status === 'WAITING') {
+        resetLobbyInactivityTimer(cid);
+      }
+    }
+  }
+
+  // Subscribe to a lobby's cluster channel and ask other nodes for its current state
+  async function joinLobbyChannel(cid) {
+    try {
+      await cluster.subscribe(`lobby:${cid}`, (message) => handleClusterMessage(cid, message));
+      await cluster.publish(`lobby:${cid}`, { origin: nodeId, kind: 'syncRequest' });
+    } catch (err) {
+      logger.error(`❌ Failed to join cluster channel for lobby ${cid}:`, err);
+    }
+  }
+
+  // Share one of our players' state with the other nodes. The progress series
+  // is only sent in full on request; otherwise a new point is sent on its own
+  // and the other nodes append it to their copy.
+  function syncPlayer(cid, username, { point = null, fullProgress = false } = {}) {
+    const lobby = lobbies.get(cid);
+    if (!lobby || lobby.remotePlayers.has(username)) return;
+
+    let state = 'left';
+    let playerData = null;
+    if (lobby.players.has(username)) {
+      state = 'active';
+      playerData = lobby.players.get(username);
+    } else if (lobby.disconnectedPlayers.has(username)) {
+      state = 'disconnected';
+      playerData = lobby.disconnectedPlayers.get(username).playerData;
+    } else if (lobby.completedPlayers.has(username)) {
+      state = 'completed';
+      playerData = lobby.completedPlayers.get(username);
+    }
+
+    let player = null;
+    let progress;
+    if (playerData) {
+      const { socket, progress: series, ...rest } = playerData;
+      player = { ...rest, latency: socket?.latency ?? null };
+      if (fullProgress) progress = series || [];
+    }
+
+    cluster.publish(`lobby:${cid}`, { origin: nodeId, kind: 'player', username, state, player, progress, point }).catch((err) => {
+      logger.error(`❌ Failed to sync player "${username}" for lobby ${cid}:`, err);
+    });
+  }
+
+  // Share how many spectators watch through this node
+  function syncSpectators(cid) {
+    const lobby = lobbies.get(cid);
+    if (!lobby) return;
+
+    cluster.publish(`lobby:${cid}`, { origin: nodeId, kind: 'spectators', count: lobby.spectators.size }).catch((err) => {
+      logger.error(`❌ Failed to sync spectators for lobby ${cid}:`, err);
+    });
+  }
+
+  // Share the lobby's status and timer with the other nodes
+  function syncLobby(cid) {
+    const lobby = lobbies.get(cid);
+    if (!lobby) return;
+
+    cluster.publish(`lobby:${cid}`, {
+      origin: nodeId,
+      kind: 'lobby',
+      status: lobby.status,
+      started: lobby.started || false,
+      challengeEnded: lobby.challengeEnded,
+      config: lobby.config,
+      timer: serializeTimer(lobby.timer),
+      host: lobby.host,
+      locked: lobby.locked,
+      minReady: lobby.minReady,
+      countdown: lobby.countdown && { endsAt: lobby.countdown.endsAt, reason: lobby.countdown.reason, cancellable: lobby.countdown.cancellable }
+    }).catch((err) => {
+      logger.error(`❌ Failed to sync lobby ${cid}:`, err);
+    });
+  }
+
+  function handleClusterMessage(cid, message) {
+    if (message.origin === nodeId) return;
+
+    const lobby = lobbies.get(cid);
+    if (!lobby) return;
+
+    switch (message.kind) {
+      case 'event':
+        // Other nodes' chat goes into our copy of the history too
+        if (message.message.type === 'chatMessage') {
+          appendChatHistory(lobby.chatHistory, message.message.message);
+        }
+        if (message.message.type === 'challengeEnded') {
+          lobby.finalScores = message.message.finalScores;
+        }
+        if (message.message.sequence !== undefined) {
+          recordLobbyEvent(lobby, message.message, message.excludeUsername);
+        }
+        deliverToLocalPlayers(cid, message.message, null, message.excludeUsername);
+        break;
+
+      case 'player': {
+        const { username, state, player } = message;
+        const known = lobby.remotePlayers.get(username)
+          ?? lobby.completedPlayers.get(username)
+          ?? lobby.disconnectedPlayers.get(username)?.playerData;
+        if (player) {
+          player.progress = message.progress ?? known?.progress ?? [];
+          if (message.point) appendProgress(player, message.point);
+        }
+
+        // The player now lives on another node, drop any local copy left from a disconnect
+        const disconnectedPlayer = lobby.disconnectedPlayers.get(username);
+        if (disconnectedPlayer && state !== 'left') {
+          if (disconnectedPlayer.disconnectTimer) {
+            clock.clearTimeout(disconnectedPlayer.disconnectTimer);
+          }
+          lobby.disconnectedPlayers.delete(username);
+        }
+        if (lobby.players.has(username)) {
+          // A local socket takes precedence over a remote one
+          return;
+        }
+
+        if (state === 'active' || state === 'disconnected') {
+          lobby.remotePlayers.set(username, { ...player, state, nodeId: message.origin });
+        } else if (state === 'completed') {
+          lobby.remotePlayers.delete(username);
+          lobby.completedPlayers.set(username, player);
+        } else {
+          lobby.remotePlayers.delete(username);
+        }
+
+        resetLobbyInactivityTimer(cid);
+        persistLobby(cid);
+        maybeStartChallenge(cid).catch((err) => {
+          logger.error(`❌ Failed to start challenge ${cid}:`, err);
+        });
+        break;
+      }
+
+      case 'lobby':
+        applyLobbyState(cid, message);
+        break;
+
+      case 'spectators':
+        lobby.remoteSpectatorCounts.set(message.origin, message.count);
+        break;
+
+      case 'kick':
+        // Remember the kick even if we never saw the player
+        lobby.kickedPlayers.add(message.username);
+        kickPlayer(cid, message.username, message.reason);
+        break;
+
+      case 'rematchVote':
+        applyRematchVote(cid, message);
+        break;
+
+      case 'rematchResult':
+        applyRematchResult(cid, message);
+        break;
+
+      case 'syncRequest':
+        for (const username of [...lobby.players.keys(), ...lobby.disconnectedPlayers.keys()]) {
+          syncPlayer(cid, username, { fullProgress: true });
+        }
+        syncLobby(cid);
+        syncSpectators(cid);
+        break;
+
+      default:
+        logger.warn('⚠️ Unknown cluster message kind:', message.kind);
+    }
+  }
+
+  // Apply another node's view of the lobby, never moving the status backwards
+  function applyLobbyState(cid, state) {
+    const lobby = lobbies.get(cid);
+    if (!lobby) return;
+    if (STATUS_ORDER.indexOf(state.status) < STATUS_ORDER.indexOf(lobby.status)) return;
+
+    lobby.status = state.status;
+    lobby.started = lobby.started || state.started;
+    lobby.config = lobby.config || state.config || null;
+    lobby.host = state.host ?? lobby.host;
+    lobby.locked = state.locked ?? lobby.locked;
+    lobby.minReady = state.minReady ?? null;
+    // A countdown is run by the node that started it, the others only show it
+    if (!lobby.countdown?.timeoutId) {
+      lobby.countdown = state.countdown ? { ...state.countdown, timeoutId: null } : null;
+    }
+    if (state.timer) {
+      lobby.timer = {
+        ...state.timer,
+        intervalId: lobby.timer?.intervalId ?? null,
+        backupTimeoutId: lobby.timer?.backupTimeoutId ?? null
+      };
+      // An admin on another node may have paused or extended the timer we run
+      scheduleTimerBackup(cid);
+    }
+
+    if (state.challengeEnded) {
+      lobby.challengeEnded = true;
+      stopChallengeTimer(lobby);
+      scheduleLobbyCleanup(cid);
+    }
+
+    persistLobby(cid);
+  }
+
+  // Ping every socket and drop the ones that stopped answering. Terminating emits
+  // 'close', which sends players through schedulePlayerDisconnect like any disconnect.
+  function checkHeartbeats() {
+    for (const ws of wss.clients) {
+      if (ws.missedPongs >= heartbeatMaxMissed) {
+        logger.warn(`💔 Terminating socket${ws.identity ? ` of "${ws.identity.username}"` : ''} after ${ws.missedPongs} missed heartbeats`);
+        ws.terminate();
+        continue;
+      }
+
+      ws.missedPongs++;
+      ws.pingSentAt = clock.now();
+      ws.ping();
+    }
+  }
+
+  // Take over timers whose owning node stopped renewing them
+  function claimOrphanedTimers() {
+    for (const [cid, lobby] of lobbies.entries()) {
+      if (lobby.status === 'IN_PROGRESS' && lobby.timer && !lobby.timer.intervalId && !lobby.challengeEnded) {
+        claimChallengeTimer(cid).catch((err) => {
+          logger.error(`❌ Failed to claim timer for lobby ${cid}:`, err);
+        });
+      }
+    }
+  }
+
+  // Liveness: the process is up and serving requests
+  router.get('/health', (req, res) => {
+    sendJson(res, 200, { status: 'ok', uptime: process.uptime() });
+  });
+
+  // Readiness: safe to route new players here
+  router.get('/ready', (req, res) => {
+    const ready = backendReachable && !shuttingDown;
+    sendJson(res, ready ? 200 : 503, {
+      ready,
+      backendReachable,
+      lastBackendCheck,
+      shuttingDown
+    });
+  });
+
+  // Timeline of a finished challenge for its players and admins, optionally
+  // narrowed down with ?type= (message type) and ?username=
+  router.get('/challenges/:cid/events', async (req, res) => {
+    let identity;
+    try {
+      identity = verifyToken(getBearerToken(req), authSecret);
+    } catch (err) {
+      throw httpError(401, err.message);
+    }
+
+    const { cid } = req.params;
+    const entries = await eventLog.read(cid);
+    const problem = checkEventLogAccess(cid, entries, identity);
+    if (problem) {
+      throw httpError(problem.status, problem.message);
+    }
+
+    const type = req.query.get('type');
+    const username = req.query.get('username');
+    sendJson(res, 200, {
+      cid,
+      events: entries.filter((entry) => (!type || entry.message.type === type)
+        && (!username || entry.username === username || entry.message.player?.username === username))
+    });
+  });
+
+  router.get('/metrics', async (req, res) => {
+    res.writeHead(200, { 'Content-Type': metrics.registry.contentType });
+    res.end(await metrics.registry.metrics());
+  });
+
+  router.get('/api/info', (req, res) => {
+    sendJson(res, 200, {
+      name: PACKAGE_NAME,
+      version: PACKAGE_VERSION,
+      nodeId: nodeId,
+      lobbies: lobbies.size,
+      connections: wss.clients.size
+    });
+  });
+
+  // Admin API: requests carry `Authorization: Bearer <token>`, signed with
+  // authSecret and carrying `role: 'admin'`. Each node reports and controls the
+  // lobbies it holds.
+  const ANNOUNCEMENT_MAX_LENGTH = 1000;
+
+  function requireAdmin(req) {
+    let identity;
+    try {
+      identity = verifyToken(getBearerToken(req), authSecret);
+    } catch (err) {
+      throw httpError(401, err.message);
+    }
+    if (identity.role !== 'admin') {
+      throw httpError(403, 'Admin role required');
+    }
+    return identity;
+  }
+
+  // Optional free-text reason from a request body
+  function reasonOr(reason, fallback) {
+    return typeof reason === 'string' && reason.trim() ? reason.trim() : fallback;
+  }
+
+  function getLobbyOr404(cid) {
+    const lobby = lobbies.get(cid);
+    if (!lobby) {
+      throw httpError(404, 'Lobby not found on this node');
+    }
+    return lobby;
+  }
+
+  function describeLobby(cid) {
+    const lobby = lobbies.get(cid);
+
+    let timer = null;
+    if (lobby.timer) {
+      timer = {
+        startTime: lobby.timer.startTime,
+        endTime: lobby.timer.endTime,
+        remainingTime: getRemainingTime(lobby.timer, clock.now()),
+        paused: isTimerPaused(lobby.timer),
+        runningOnThisNode: Boolean(lobby.timer.intervalId)
+      };
+    }
+
+    return {
+      cid,
+      status: lobby.status,
+      config: getLobbyConfig(lobby),
+      players: getActivePlayers(lobby).map(([username, playerData]) => ({
+        username,
+        nodeId: playerData.nodeId || nodeId,
+        ready: playerData.ready,
+        running: playerData.running || false,
+        testsPassed: playerData.testsPassed || 0,
+        submitted: playerData.submitted || false,
+        submittedResults: playerData.submittedResults || 0,
+        latency: playerData.socket ? playerData.socket.latency : playerData.latency ?? null
+      })),
+      disconnectedPlayers: [
+        ...Array.from(lobby.disconnectedPlayers.entries()).map(([username, { disconnectedAt }]) => ({
+          username,
+          nodeId: nodeId,
+          disconnectedAt
+        })),
+        ...Array.from(lobby.remotePlayers.entries())
+          .filter(([, playerData]) => playerData.state === 'disconnected')
+          .map(([username, { nodeId }]) => ({ username, nodeId, disconnectedAt: null }))
+      ],
+      completedPlayers: Array.from(lobby.completedPlayers.keys()),
+      kickedPlayers: Array.from(lobby.kickedPlayers),
+      host: lobby.host,
+      locked: lobby.locked,
+      minReady: lobby.minReady,
+      countdownEndsAt: lobby.countdown?.endsAt ?? null,
+      spectatorCount: getSpectatorCount(lobby),
+      timer
+    };
+  }
+
+  // Remove a player for good. The node holding them closes their socket, and
+  // every node remembers the kick so they cannot rejoin.
+  function kickPlayer(cid, username, reason, { propagate = false } = {}) {
+    const lobby = lobbies.get(cid);
+    if (!lobby) return false;
+
+    const known = lobby.players.has(username) || lobby.disconnectedPlayers.has(username)
+      || lobby.remotePlayers.has(username) || lobby.completedPlayers.has(username);
+    if (!known) return false;
+
+    lobby.kickedPlayers.add(username);
+    lobby.remotePlayers.delete(username);
+    lobby.completedPlayers.delete(username);
+
+    if (propagate) {
+      cluster.publish(`lobby:${cid}`, { origin: nodeId, kind: 'kick', username, reason }).catch((err) => {
+        logger.error(`❌ Failed to share kick of "${username}" in lobby ${cid}:`, err);
+      });
+    }
+
+    const player = lobby.players.get(username);
+    if (player) {
+      lobby.players.delete(username);
+      if (player.socket.readyState === player.socket.OPEN) {
+        player.socket.send(JSON.stringify({ type: 'kicked', reason }));
+        player.socket.close(CLOSE_CODES.KICKED, 'Removed from challenge');
+      }
+    }
+
+    // Only the node that held the player announces it and updates the totals
+    if (player || lobby.disconnectedPlayers.has(username)) {
+      logger.log(`🥾 Kicked "${username}" from lobby ${cid}: ${reason}`);
+      broadcast(cid, {
+        type: 'playerKicked',
+        player: { username, cid },
+        reason
+      });
+      handlePlayerDisconnect(username, cid);
+    }
+
+    persistLobby(cid);
+    // The remaining players may all be ready now
+    maybeStartChallenge(cid).catch((err) => {
+      logger.error(`❌ Failed to start challenge ${cid}:`, err);
+    });
+    return true;
+  }
+
+  // Deliver an all-lobbies announcement to this node's sockets. Every node,
+  // including the sender, receives it once through the cluster.
+  function handleAnnouncement({ text, sentAt }) {
+    for (const cid of lobbies.keys()) {
+      deliverToLocalPlayers(cid, { type: 'systemAnnouncement', text, sentAt });
+    }
+  }
+
+  router.get('/admin/lobbies', (req, res) => {
+    requireAdmin(req);
+    sendJson(res, 200, {
+      nodeId: nodeId,
+      lobbies: Array.from(lobbies.keys(), describeLobby)
+    });
+  });
+
+  router.get('/admin/lobbies/:cid', (req, res) => {
+    requireAdmin(req);
+    getLobbyOr404(req.params.cid);
+    sendJson(res, 200, describeLobby(req.params.cid));
+  });
+
+  router.post('/admin/lobbies/:cid/start', async (req, res) => {
+    const admin = requireAdmin(req);
+    const { cid } = req.params;
+    const lobby = getLobbyOr404(cid);
+    if (lobby.status !== 'WAITING' || lobby.started) {
+      throw httpError(409, 'Challenge has already started');
+    }
+
+    logger.log(`🛡️ Admin "${admin.username}" force-started challenge ${cid}`);
+    if (!(await startChallenge(cid))) {
+      throw httpError(409, 'Challenge is being started by another node');
+    }
+    sendJson(res, 200, describeLobby(cid));
+  });
+
+  router.post('/admin/lobbies/:cid/end', async (req, res) => {
+    const admin = requireAdmin(req);
+    const { cid } = req.params;
+    const lobby = getLobbyOr404(cid);
+    const { reason } = await readJsonBody(req);
+    if (lobby.status !== 'IN_PROGRESS' || lobby.challengeEnded) {
+      throw httpError(409, 'Challenge is not in progress');
+    }
+
+    logger.log(`🛡️ Admin "${admin.username}" ended challenge ${cid}`);
+    await endChallenge(cid, reasonOr(reason, 'Ended by admin'));
+    sendJson(res, 200, describeLobby(cid));
+  });
+
+  router.post('/admin/lobbies/:cid/pause', async (req, res) => {
+    const admin = requireAdmin(req);
+    const { cid } = req.params;
+    getLobbyOr404(cid);
+    const { reason } = await readJsonBody(req);
+    if (!pauseChallengeTimer(cid, reasonOr(reason, 'Paused by an admin'))) {
+      throw httpError(409, 'Timer is not running');
+    }
+
+    logger.log(`🛡️ Admin "${admin.username}" paused challenge ${cid}`);
+    sendJson(res, 200, describeLobby(cid));
+  });
+
+  router.post('/admin/lobbies/:cid/resume', async (req, res) => {
+    const admin = requireAdmin(req);
+    const { cid } = req.params;
+    getLobbyOr404(cid);
+    const { reason } = await readJsonBody(req);
+    if (!resumeChallengeTimer(cid, reasonOr(reason, 'Resumed by an admin'))) {
+      throw httpError(409, 'Timer is not paused');
+    }
+
+    logger.log(`🛡️ Admin "${admin.username}" resumed challenge ${cid}`);
+    sendJson(res, 200, describeLobby(cid));
+  });
+
+  router.post('/admin/lobbies/:cid/extend', async (req, res) => {
+    const admin = requireAdmin(req);
+    const { cid } = req.params;
+    getLobbyOr404(cid);
+    const { seconds, reason } = await readJsonBody(req);
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      throw httpError(400, '"seconds" must be a positive number');
+    }
+    if (!extendChallengeTimer(cid, seconds * 1000, reasonOr(reason, 'Extended by an admin'))) {
+      throw httpError(409, 'Challenge is not in progress');
+    }
+
+    logger.log(`🛡️ Admin "${admin.username}" extended challenge ${cid} by ${seconds}s`);
+    sendJson(res, 200, describeLobby(cid));
+  });
+
+  router.post('/admin/lobbies/:cid/players/:username/kick', async (req, res) => {
+    const admin = requireAdmin(req);
+    const { cid, username } = req.params;
+    getLobbyOr404(cid);
+    const { reason } = await readJsonBody(req);
+
+    const kickReason = reasonOr(reason, 'Removed by an admin');
+    if (!kickPlayer(cid, username, kickReason, { propagate: true })) {
+      throw httpError(404, 'Player not found in this lobby');
+    }
+
+    logger.log(`🛡️ Admin "${admin.username}" kicked "${username}" from challenge ${cid}`);
+    sendJson(res, 200, lobbies.has(cid) ? describeLobby(cid) : { cid, removed: true });
+  });
+
+  // Announce to one lobby (`cid` in the body) or to every lobby in the cluster
+  router.post('/admin/announcements', async (req, res) => {
+    const admin = requireAdmin(req);
+    const { text, cid } = await readJsonBody(req);
+    if (typeof text !== 'string' || !text.trim()) {
+      throw httpError(400, '"text" is required');
+    }
+    if (text.length > ANNOUNCEMENT_MAX_LENGTH) {
+      throw httpError(400, `"text" must be at most ${ANNOUNCEMENT_MAX_LENGTH} characters`);
+    }
+
+    const announcement = { text: text.trim(), sentAt: clock.now() };
+    if (cid !== undefined) {
+      getLobbyOr404(cid);
+      broadcast(cid, { type: 'systemAnnouncement', ...announcement });
+    } else {
+      await cluster.publish('announcements', announcement);
+    }
+
+    logger.log(`🛡️ Admin "${admin.username}" announced to ${cid ? `lobby ${cid}` : 'all lobbies'}: ${announcement.text}`);
+    sendJson(res, 202, { delivered: true, cid: cid ?? null });
+  });
+
+  function publishTournament(message) {
+    cluster.publish('tournaments', { origin: nodeId, ...message }).catch((err) => {
+      logger.error(`❌ Failed to publish tournament ${message.kind}:`, err);
+    });
+  }
+
+  // Every node, including the sender, receives each message once
+  function handleTournamentMessage(message) {
+    switch (message.kind) {
+      case 'match':
+        tournamentMatches.set(message.cid, { tournamentId: message.tournamentId, players: message.players });
+        break;
+      case 'ready': {
+        const owned = ownedMatches.get(message.cid);
+        if (!owned) break;
+        if (message.ready) owned.ready.add(message.username);
+        if (!message.ready) owned.ready.delete(message.username);
+        persistTournament(owned.tournament);
+        break;
+      }
+      case 'result':
+        if (ownedMatches.has(message.cid)) {
+          finishTournamentMatch(message.cid, { ranks: message.ranks });
+        }
+        break;
+      case 'closeMatch':
+        tournamentMatches.delete(message.cid);
+        if (message.reason) closeLobby(message.cid, message.reason);
+        break;
+      case 'deliver':
+        deliverTournamentEvent(message);
+        break;
+      default:
+        logger.warn('⚠️ Unknown tournament message kind:', message.kind);
+    }
+  }
+
+  // Send an event to this node's sockets of `usernames`, plus (with `watchers`)
+  // sockets watching the tournament or spectating one of its matches
+  function deliverTournamentEvent({ tournamentId, usernames, watchers, event }) {
+    if (event.type === 'tournamentStandings') {
+      latestStandings.set(tournamentId, event);
+    }
+
+    for (const ws of wss.clients) {
+      if (ws.readyState !== ws.OPEN || !ws.identity) continue;
+      const isParticipant = usernames.includes(ws.identity.username) && !ws.spectating;
+      const isWatcher = watchers && (ws.watchingTournament === tournamentId
+        || (ws.spectating && tournamentMatches.get(ws.cid)?.tournamentId === tournamentId));
+      if (isParticipant || isWatcher) {
+        ws.send(JSON.stringify(event));
+      }
+    }
+  }
+
+  function watchTournament(ws, tournamentId) {
+    const standings = latestStandings.get(tournamentId);
+    if (!standings) {
+      sendError(ws, ERROR_CODES.NOT_FOUND, 'Tournament not found', { requestType: 'watchTournament' });
+      return;
+    }
+    ws.watchingTournament = tournamentId;
+    ws.send(JSON.stringify(standings));
+  }
+
+  function scheduleTournamentTask(fn, delay) {
+    const timer = clock.setTimeout(() => {
+      tournamentTimers.delete(timer);
+      fn();
+    }, delay);
+    tournamentTimers.add(timer);
+  }
+
+  // Save a tournament run here with its open matches, or drop it once finished
+  function persistTournament(tournament) {
+    const key = `${TOURNAMENT_KEY_PREFIX}${tournament.id}`;
+    const saved = tournament.status === 'finished'
+      ? lobbyStore.remove(key)
+      : lobbyStore.save(key, {
+        tournament: serializeTournament(tournament),
+        openMatches: Array.from(ownedMatches.entries())
+          .filter(([, owned]) => owned.tournament === tournament)
+          .map(([cid, { ready, noShowAt }]) => [cid, { ready: [...ready], noShowAt }])
+      });
+    saved.catch((err) => {
+      logger.error(`❌ Failed to persist tournament ${tournament.id}:`, err);
+    });
+  }
+
+  // Pick a saved tournament up where it was: open matches get their remaining
+  // time to start, matches never created are retried and an interrupted round
+  // break starts over
+  async function restoreTournament(key, snapshot) {
+    const tournament = deserializeTournament(snapshot.tournament);
+    if (tournament.status === 'finished') {
+      await lobbyStore.remove(key);
+      return;
+    }
+    tournaments.set(tournament.id, tournament);
+
+    for (const [cid, { ready, noShowAt }] of snapshot.openMatches) {
+      const match = tournament.matches.find((candidate) => candidate.cid === cid);
+      ownedMatches.set(cid, {
+        tournament,
+        match,
+        ready: new Set(ready),
+        noShowAt,
+        noShowTimer: scheduleNoShowCheck(cid, Math.max(0, noShowAt - clock.now()))
+      });
+      tournamentMatches.set(cid, { tournamentId: tournament.id, players: match.players });
+      publishTournament({ kind: 'match', cid, tournamentId: tournament.id, players: match.players });
+    }
+    logger.log(`♻️ Restored tournament ${tournament.id} (round ${tournament.round}/${tournament.totalRounds}, ${snapshot.openMatches.length} open match(es))`);
+
+    const pending = tournament.matches.filter((match) => match.round === tournament.round && match.status === 'pending');
+    if (pending.length) {
+      await Promise.all(pending.map((match) => openTournamentMatch(tournament, match)));
+    } else if (isRoundComplete(tournament)) {
+      scheduleNextRound(tournament);
+    }
+    announceStandings(tournament);
+  }
+
+  // Standings change whenever the tournament does, so it is saved here too
+  function announceStandings(tournament) {
+    persistTournament(tournament);
+    publishTournament({
+      kind: 'deliver',
+      tournamentId: tournament.id,
+      usernames: [...tournament.players.keys()],
+      watchers: true,
+      event: { type: 'tournamentStandings', ...describeTournament(tournament) }
+    });
+  }
+
+  async function startTournamentRound(tournament) {
+    const { matches, byes } = pairNextRound(tournament);
+    logger.log(`🏆 Tournament ${tournament.id} round ${tournament.round}/${tournament.totalRounds}: ${matches.length} match(es), ${byes.length} bye(s)`);
+
+    if (byes.length) {
+      publishTournament({
+        kind: 'deliver',
+        tournamentId: tournament.id,
+        usernames: byes,
+        watchers: false,
+        event: { type: 'tournamentBye', tournamentId: tournament.id, round: tournament.round }
+      });
+    }
+
+    await Promise.all(matches.map((match) => openTournamentMatch(tournament, match)));
+    announceStandings(tournament);
+  }
+
+  // Create the match's challenge and give its players a deadline to get ready.
+  // A match the backend keeps failing to create is scored as a draw.
+  async function openTournamentMatch(tournament, match, attempt = 1) {
+    let cid;
+    try {
+      const data = await backend.request(CREATE_CHALLENGE_MUTATION, {
+        participants: match.players,
+        difficulty: tournament.difficulty,
+        language: tournament.language,
+        tournamentId: tournament.id
+      });
+      cid = data?.createChallenge?.cid;
+      if (!cid) throw new Error('Backend did not return a challenge');
+    } catch (err) {
+      if (attempt >= TOURNAMENT_CONFIG.maxRetries) {
+        logger.error(`❌ Giving up on match ${match.id} of tournament ${tournament.id} after ${attempt} attempts, scoring it as a draw:`, err);
+        completeTournamentMatch(tournament, match, { ranks: Object.fromEntries(match.players.map((username) => [username, 1])) });
+        return;
+      }
+      logger.error(`❌ Failed to create match ${match.id} of tournament ${tournament.id} (attempt ${attempt}/${TOURNAMENT_CONFIG.maxRetries}), retrying:`, err);
+      scheduleTournamentTask(() => {
+        openTournamentMatch(tournament, match, attempt + 1).then(() => announceStandings(tournament));
+      }, TOURNAMENT_RETRY_DELAY);
+      return;
+    }
+
+    match.cid = cid;
+    match.status = 'playing';
+    const noShowAt = clock.now() + TOURNAMENT_CONFIG.noShowTimeout;
+    ownedMatches.set(cid, {
+      tournament,
+      match,
+      ready: new Set(),
+      noShowAt,
+      noShowTimer: scheduleNoShowCheck(cid, TOURNAMENT_CONFIG.noShowTimeout)
+    });
+    tournamentMatches.set(cid, { tournamentId: tournament.id, players: match.players });
+    publishTournament({ kind: 'match', cid, tournamentId: tournament.id, players: match.players });
+
+    logger.log(`🏆 Match ${match.id}: ${match.players.join(' vs ')} in challenge ${cid}`);
+    publishTournament({
+      kind: 'deliver',
+      tournamentId: tournament.id,
+      usernames: match.players,
+      watchers: false,
+      event: { type: 'tournamentMatch', tournamentId: tournament.id, round: match.round, cid, players: match.players }
+    });
+  }
+
+  // Forfeit the match at its deadline, retrying a few times if the cluster
+  // fails before deciding it without the start lock
+  function scheduleNoShowCheck(cid, delay, attempt = 1) {
+    return clock.setTimeout(() => {
+      forfeitTournamentMatch(cid, { force: attempt > TOURNAMENT_CONFIG.maxRetries }).catch((err) => {
+        const owned = ownedMatches.get(cid);
+        if (!owned) return;
+        logger.error(`❌ Failed to resolve no-shows in ${cid} (attempt ${attempt}/${TOURNAMENT_CONFIG.maxRetries}), retrying:`, err);
+        owned.noShowTimer = scheduleNoShowCheck(cid, TOURNAMENT_RETRY_DELAY, attempt + 1);
+      });
+    }, delay);
+  }
+
+  // At the deadline, a match that has not started is decided by who got ready
+  async function forfeitTournamentMatch(cid, { force = false } = {}) {
+    const owned = ownedMatches.get(cid);
+    if (!owned) return;
+
+    // Holding the start lock keeps the lobby from starting from now on; if
+    // someone else holds it the challenge is running and will report a result
+    if (!force && !(await cluster.acquireLock(`lobby:${cid}:start`, `${nodeId}:tournament`, ONCE_LOCK_TTL))) return;
+    if (!ownedMatches.has(cid)) return;
+
+    const present = owned.match.players.filter((username) => owned.ready.has(username));
+    logger.log(`⏰ Match ${owned.match.id} did not start in time, ready: ${present.join(', ') || 'nobody'}`);
+    finishTournamentMatch(cid, {
+      ranks: Object.fromEntries(present.map((username) => [username, 1])),
+      noShows: owned.match.players.filter((username) => !present.includes(username))
+    }, 'Tournament match forfeited: not every player got ready in time');
+  }
+
+  function finishTournamentMatch(cid, outcome, closeReason = null) {
+    const owned = ownedMatches.get(cid);
+    ownedMatches.delete(cid);
+    clock.clearTimeout(owned.noShowTimer);
+
+    publishTournament({ kind: 'closeMatch', cid, reason: closeReason });
+    completeTournamentMatch(owned.tournament, owned.match, outcome);
+  }
+
+  function completeTournamentMatch(tournament, match, outcome) {
+    recordMatchResult(tournament, match, outcome);
+    logger.log(`🏆 Match ${match.id} finished:`, match.results);
+
+    if (isRoundComplete(tournament)) {
+      if (tournament.status === 'finished') {
+        const [winner] = describeTournament(tournament).standings;
+        logger.log(`🏆 Tournament ${tournament.id} finished, winner: "${winner.username}"`);
+      } else {
+        scheduleNextRound(tournament);
+      }
+    }
+    announceStandings(tournament);
+  }
+
+  function scheduleNextRound(tournament) {
+    scheduleTournamentTask(() => {
+      startTournamentRound(tournament).catch((err) => {
+        logger.error(`❌ Failed to start round ${tournament.round + 1} of tournament ${tournament.id}:`, err);
+      });
+    }, TOURNAMENT_CONFIG.roundDelay);
+  }
+
+  // Players: usernames, or { username, rating } to seed by something other than the default rating
+  router.post('/admin/tournaments', async (req, res) => {
+    const admin = requireAdmin(req);
+    const { name, format = 'swiss', players, rounds, difficulty, language } = await readJsonBody(req);
+
+    if (!TOURNAMENT_FORMATS.includes(format)) {
+      throw httpError(400, `"format" must be one of: ${TOURNAMENT_FORMATS.join(', ')}`);
+    }
+    if (!Array.isArray(players) || players.length < 2) {
+      throw httpError(400, '"players" must list at least 2 players');
+    }
+    const entries = players.map((player) => (typeof player === 'string' ? { username: player } : player));
+    if (entries.some((player) => typeof player?.username !== 'string' || !player.username)) {
+      throw httpError(400, 'Every player needs a username');
+    }
+    if (new Set(entries.map((player) => player.username)).size !== entries.length) {
+      throw httpError(400, 'Players must be unique');
+    }
+    if (rounds !== undefined && !(Number.isInteger(rounds) && rounds > 0)) {
+      throw httpError(400, '"rounds" must be a positive integer');
+    }
+
+    const tournament = createTournament({
+      id: randomUUID(),
+      name: reasonOr(name, 'Tournament'),
+      format,
+      rounds,
+      difficulty: difficulty || null,
+      language: language || null,
+      players: entries.map(({ username, rating }) => ({
+        username,
+        rating: Number.isFinite(rating) ? rating : RATING_CONFIG.defaultRating
+      }))
+    });
+    tournaments.set(tournament.id, tournament);
+    logger.log(`🛡️ Admin "${admin.username}" created ${format} tournament ${tournament.id} with ${entries.length} players`);
+
+    await startTournamentRound(tournament);
+    sendJson(res, 201, describeTournament(tournament));
+  });
+
+  router.get('/admin/tournaments', (req, res) => {
+    requireAdmin(req);
+    sendJson(res, 200, {
+      nodeId: nodeId,
+      tournaments: Array.from(tournaments.values(), describeTournament)
+    });
+  });
+
+  router.get('/admin/tournaments/:id', (req, res) => {
+    requireAdmin(req);
+    const tournament = tournaments.get(req.params.id);
+    if (!tournament) {
+      throw httpError(404, 'Tournament not found on this node');
+    }
+    sendJson(res, 200, describeTournament(tournament));
+  });
+
+  async function checkBackendHealth() {
+    let reachable;
+    try {
+      await backend.request(PING_QUERY, {}, { retries: 0 });
+      reachable = true;
+    } catch (err) {
+      // GraphQL errors and 4xx answers still mean the backend is up
+      reachable = err.retryable === false;
+      if (!reachable && (backendReachable || lastBackendCheck === null)) {
+        logger.warn(`⚠️ Backend is unreachable: ${err.message}`);
+      }
+    }
+
+    if (reachable && !backendReachable) {
+      logger.log('✅ Backend is reachable');
+    }
+    backendReachable = reachable;
+    lastBackendCheck = clock.now();
+  }
+
+  function countLobbiesByStatus() {
+    const counts = { WAITING: 0, IN_PROGRESS: 0, ENDED: 0 };
+    for (const lobby of lobbies.values()) {
+      counts[lobby.status] = (counts[lobby.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  // Connect to the cluster, restore saved lobbies and start listening
+  async function start() {
+    cluster = clusterAdapter || await createClusterAdapterFromEnv(process.env, { logger });
+    logger.log(`🆔 Node id: ${nodeId}`);
+
+    await cluster.subscribe('announcements', handleAnnouncement);
+    await cluster.subscribe('tournaments', handleTournamentMessage);
+    await cluster.subscribe('matchmaking', handleMatchmakingMessage);
+
+    // Load pending mutations before restored lobbies can queue new ones
+    await outbox.start();
+
+    try {
+      await restoreLobbies();
+    } catch (err) {
+      logger.error('❌ Failed to restore lobbies:', err);
+    }
+
+    intervals.push(
+      clock.setInterval(claimOrphanedTimers, TIMER_LOCK_TTL / 2),
+      clock.setInterval(checkHeartbeats, heartbeatInterval),
+      clock.setInterval(checkBackendHealth, BACKEND_HEALTH_INTERVAL),
+      clock.setInterval(runMatchmaking, MATCHMAKING_CONFIG.interval)
+    );
+
+    checkBackendHealth();
+
+    await new Promise((resolve) => httpServer.listen(port, resolve));
+    logger.log(`🚀 WebSocket server listening on port ${httpServer.address().port} (backend: ${backendUrl})`);
+    logger.log(`📋 Active lobbies: ${lobbies.size}`);
+  }
+
+  // Graceful shutdown: refuse new connections, joins and queueing, tell every
+  // client, hand lobbies off to the lobby store or end them, deliver pending
+  // backend mutations, then close the sockets. Sockets still open at the
+  // deadline are terminated.
+  function shutdown({ reason = 'Server is restarting' } = {}) {
+    if (!shutdownPromise) {
+      shutdownPromise = drainAndStop(reason);
+    }
+    return shutdownPromise;
+  }
+
+  async function drainAndStop(reason) {
+    shuttingDown = true;
+    const closesAt = clock.now() + shutdownTimeout;
+    const resumable = shutdownMode === 'persist';
+    logger.log(`🛑 Shutting down (${reason}), ${lobbies.size} lobby(ies) will be ${resumable ? 'kept' : 'ended'}`);
+
+    // Stop listening; sockets that are already open are closed below
+    const httpClosed = new Promise((resolve) => httpServer.close(resolve));
+    for (const intervalId of intervals.splice(0)) {
+      clock.clearInterval(intervalId);
+    }
+
+    for (const ws of wss.clients) {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify({ type: 'serverShuttingDown', reason, closesAt, resumable, retryAfter: shutdownRetryAfter }));
+      }
+    }
+    for (const username of [...queuedSockets.keys()]) {
+      leaveQueue(username, 'Server is shutting down');
+    }
+    if (matchmakingLockHeld) {
+      matchmakingLockHeld = false;
+      cluster.releaseLock('matchmaking', nodeId).catch((err) => {
+        logger.error('❌ Failed to release the matchmaking lock:', err);
+      });
+    }
+
+    const drained = settlesWithin((async () => {
+      await Promise.all([...lobbies.keys()].map((cid) => (resumable ? handOffLobby(cid) : endLobbyForShutdown(cid))));
+      const pending = await outbox.drain();
+      if (pending > 0) {
+        logger.warn(`⚠️ ${pending} backend mutation(s) still pending, they are replayed from the outbox on the next start`);
+      }
+    })(), closesAt - clock.now());
+    if (!(await drained)) {
+      logger.warn('⚠️ Shutdown deadline reached before every lobby was drained');
+    }
+
+    const closed = [...wss.clients].map((ws) => new Promise((resolve) => {
+      ws.once('close', resolve);
+      ws.close(CLOSE_CODES.SERVER_SHUTTING_DOWN, reason);
+    }));
+    await settlesWithin(Promise.all(closed), closesAt - clock.now());
+
+    await stop();
+    await httpClosed;
+    logger.log('👋 Shutdown complete');
+  }
+
+  // Keep the lobby for whoever picks it up next: save it and let go of its timer
+  async function handOffLobby(cid) {
+    const lobby = lobbies.get(cid);
+    if (!lobby || lobby.challengeEnded) return;
+
+    const owningTimer = Boolean(lobby.timer?.intervalId);
+    stopChallengeTimer(lobby);
+    try {
+      await lobbyStore.save(cid, serializeLobby(lobby));
+      if (owningTimer) {
+        await cluster.releaseLock(`lobby:${cid}:timer`, nodeId);
+      }
+      logger.log(`💾 Handed off lobby ${cid} (${lobby.status})`);
+    } catch (err) {
+      logger.error(`❌ Failed to hand off lobby ${cid}:`, err);
+    }
+  }
+
+  async function endLobbyForShutdown(cid) {
+    const lobby = lobbies.get(cid);
+    if (!lobby || lobby.challengeEnded) return;
+
+    if (lobby.status === 'IN_PROGRESS') {
+      await endChallenge(cid, 'Server maintenance');
+    } else {
+      closeLobby(cid, 'Server maintenance');
+    }
+  }
+
+  // Resolves true if the promise settles within `ms`, false if time runs out first
+  function settlesWithin(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = clock.setTimeout(() => resolve(false), Math.max(0, ms));
+    });
+    return Promise.race([promise.then(() => true, () => true), timeout]).finally(() => clock.clearTimeout(timer));
+  }
+
+  // Stop timers and close every socket and the HTTP server
+  async function stop() {
+    for (const intervalId of intervals.splice(0)) {
+      clock.clearInterval(intervalId);
+    }
+    for (const lobby of lobbies.values()) {
+      stopChallengeTimer(lobby);
+      clock.clearTimeout(lobby.inactivityTimer);
+      clock.clearTimeout(lobby.countdown?.timeoutId);
+      clock.clearTimeout(lobby.rematch?.timeoutId);
+      for (const { disconnectTimer } of lobby.disconnectedPlayers.values()) {
+        clock.clearTimeout(disconnectTimer);
+      }
+    }
+    for (const timer of tournamentTimers) {
+      clock.clearTimeout(timer);
+    }
+    for (const ws of [...replaySockets]) {
+      stopReplay(ws);
+    }
+    for (const { noShowTimer } of ownedMatches.values()) {
+      clock.clearTimeout(noShowTimer);
+    }
+    outbox.stop();
+
+    for (const ws of wss.clients) {
+      ws.terminate();
+    }
+    await new Promise((resolve) => wss.close(resolve));
+    if (httpServer.listening) {
+      await new Promise((resolve) => httpServer.close(resolve));
+    }
+  }
+
+  async function startChallengeInBackend(cid) {
+    try {
+      logger.log(`🌐 Making GraphQL request to: ${backendUrl}`);
+      const data = await backend.request(START_CHALLENGE_MUTATION, { cid });
+      logger.log(`✅ Challenge started for ${cid}:`, data?.startChallenge);
+
+      broadcast(cid, {
+        type: 'challengeStarted',
+        data: data?.startChallenge
+      });
+
+    } catch (err) {
+      logger.error(`❌ Failed to start challenge for ${cid}:`, err);
+    }
+  }
+
+
+  function resetLobbyInactivityTimer(cid) {
+    const lobby = lobbies.get(cid);
+    if (!lobby) return;
+    if (lobby.inactivityTimer) {
+      clock.clearTimeout(lobby.inactivityTimer);
+    }
+
+    if (lobby.status === 'WAITING') {
+      lobby.inactivityTimer = clock.setTimeout(() => {
+        if (lobby.status === 'WAITING') {
+          logger.log(`⏰ Lobby ${cid} closed due to inactivity (3 minutes)`);
+          closeLobby(cid, 'Lobby closed due to inactivity (no challenge started)');
+        }
+      }, 3 * 60 * 1000); 
+    }
+  }
+
+  // Tell this node's players and spectators a waiting lobby is gone, then drop it
+  function closeLobby(cid, reason) {
+    const lobby = lobbies.get(cid);
+    if (!lobby) return;
+
+    for (const socket of [...Array.from(lobby.players.values(), (p) => p.socket), ...lobby.spectators]) {
+      if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify({ type: 'lobbyClosed', reason }));
+      }
+    }
+    clock.clearTimeout(lobby.inactivityTimer);
+    for (const { disconnectTimer } of lobby.disconnectedPlayers.values()) {
+      clock.clearTimeout(disconnectTimer);
+    }
+    removeLobby(cid);
+  }
+
+  return {
+    start,
+    stop,
+    shutdown,
+    httpServer,
+    wss,
+    lobbies,
+    nodeId: nodeId,
+    // The bound port, useful when listening on port 0
+    get port() {
+      return httpServer.address()?.port ?? null;
+    }
+  };
+}
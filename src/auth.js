@@ -0,0 +1,90 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// Tokens are compact HS256 JWTs: base64url(header).base64url(payload).base64url(signature)
+// The payload must carry `username`, and may pin the token to a lobby with `cid`.
+// Staff tokens carry `role: 'admin'` and unlock the admin HTTP API. A numeric
+// `rating` is used for matchmaking.
+
+function base64UrlEncode(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function base64UrlDecode(input) {
+  return Buffer.from(input, 'base64url').toString('utf8');
+}
+
+function sign(data, secret) {
+  return createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Create a signed token (used by the backend / tooling that issues tokens)
+export function signToken(payload, secret, { expiresIn = 60 * 60 } = {}) {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const now = Math.floor(Date.now() / 1000);
+  const body = { iat: now, exp: now + expiresIn, ...payload };
+
+  const unsigned = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(body))}`;
+  return `${unsigned}.${sign(unsigned, secret)}`;
+}
+
+// Verify a token and return the identity it carries, or throw with a reason
+export function verifyToken(token, secret) {
+  if (typeof token !== 'string' || !token) {
+    throw new Error('Missing token');
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64UrlDecode(encodedHeader));
+    payload = JSON.parse(base64UrlDecode(encodedPayload));
+  } catch {
+    throw new Error('Malformed token');
+  }
+
+  if (header.alg !== 'HS256') {
+    throw new Error('Unsupported token algorithm');
+  }
+
+  const expected = Buffer.from(sign(`${encodedHeader}.${encodedPayload}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid token signature');
+  }
+
+  if (payload.exp !== undefined && Math.floor(Date.now() / 1000) >= payload.exp) {
+    throw new Error('Token expired');
+  }
+
+  if (typeof payload.username !== 'string' || !payload.username) {
+    throw new Error('Token has no username');
+  }
+
+  return {
+    username: payload.username,
+    cid: payload.cid || null,
+    role: payload.role || null,
+    rating: Number.isFinite(payload.rating) ? payload.rating : null
+  };
+}
+
+// Read the token from the upgrade request query string (?token=...)
+export function getTokenFromRequest(req) {
+  if (!req?.url) return null;
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('token');
+}
+
+// Read a bearer token from the Authorization header
+export function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
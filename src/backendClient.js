@@ -0,0 +1,176 @@
+import { systemClock } from './clock.js';
+
+// Thrown for failed backend calls. `retryable` is false when retrying cannot help
+// (e.g. the backend answered with GraphQL errors for a well-formed request).
+export class BackendError extends Error {
+  constructor(message, { retryable = true, errors = null } = {}) {
+    super(message);
+    this.name = 'BackendError';
+    this.retryable = retryable;
+    this.errors = errors;
+  }
+}
+
+// "GetChallengeById" from "query GetChallengeById($cid: ID!) { ... }"
+const operationName = (query) => /\b(?:query|mutation)\s+(\w+)/.exec(query)?.[1] || 'anonymous';
+
+// GraphQL client for the meetcode backend with timeouts and exponential-backoff retries
+export function createBackendClient({
+  backendUrl,
+  timeout = 10 * 1000,
+  retries = 3,
+  retryDelay = 500, // Doubles after every failed attempt
+  onRequest = () => {}, // Called with { operation, durationMs, error } after every request
+  fetch: fetchImpl = globalThis.fetch,
+  clock = systemClock,
+  logger = console
+}) {
+  const sleep = (ms) => new Promise((resolve) => clock.setTimeout(resolve, ms));
+
+  async function attempt(query, variables) {
+    const controller = new AbortController();
+    const timer = clock.setTimeout(() => controller.abort(), timeout);
+
+    let res;
+    try {
+      res = await fetchImpl(backendUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query, variables }),
+        signal: controller.signal
+      });
+    } catch (err) {
+      const reason = err.name === 'AbortError' ? `timed out after ${timeout}ms` : err.message;
+      throw new BackendError(`Backend request failed: ${reason}`);
+    } finally {
+      clock.clearTimeout(timer);
+    }
+
+    if (!res.ok) {
+      // Server-side trouble and throttling are worth retrying, anything else is not
+      throw new BackendError(`Backend responded with HTTP ${res.status}`, {
+        retryable: res.status >= 500 || res.status === 429
+      });
+    }
+
+    const json = await res.json();
+    if (json.errors?.length) {
+      throw new BackendError(`Backend returned errors: ${json.errors.map((e) => e.message).join('; ')}`, {
+        retryable: false,
+        errors: json.errors
+      });
+    }
+
+    return json.data;
+  }
+
+  return {
+    // Run a query or mutation and resolve with its `data`
+    async request(query, variables = {}, { retries: maxRetries = retries } = {}) {
+      const operation = operationName(query);
+      const startedAt = clock.now();
+
+      for (let attemptNumber = 0; ; attemptNumber++) {
+        try {
+          const data = await attempt(query, variables);
+          onRequest({ operation, durationMs: clock.now() - startedAt, error: null });
+          return data;
+        } catch (err) {
+          if (!err.retryable || attemptNumber >= maxRetries) {
+            onRequest({ operation, durationMs: clock.now() - startedAt, error: err });
+            throw err;
+          }
+          const delay = retryDelay * 2 ** attemptNumber;
+          logger.warn(`⚠️ ${err.message}, retrying in ${delay}ms (${attemptNumber + 1}/${maxRetries})`);
+          await sleep(delay);
+        }
+      }
+    }
+  };
+}
+
+const PARTICIPANT_FIELDS = `
+  username
+  cid
+  rank
+  score
+  time
+`;
+
+const CHALLENGE_FIELDS = `
+  cid
+  pid
+  status
+  startDate
+  endDate
+  participants {
+    ${PARTICIPANT_FIELDS}
+  }
+`;
+
+// Cheapest possible request, used to check the backend is reachable
+export const PING_QUERY = `
+  query Ping {
+    __typename
+  }
+`;
+
+export const GET_CHALLENGE_QUERY = `
+  query GetChallengeById($cid: ID!) {
+    getChallengeById(cid: $cid) {
+      cid
+      pid
+      status
+      durationMinutes
+      totalTests
+      allowEarlyFinish
+      allowSpectators
+      maxSpectators
+      createdBy
+      participants {
+        username
+        rating
+      }
+    }
+  }
+`;
+
+// Used by matchmaking, tournaments and rematches to open a challenge for a group
+// of players. Without `pid` the backend picks a problem.
+export const CREATE_CHALLENGE_MUTATION = `
+  mutation CreateChallenge($participants: [String!]!, $pid: String, $difficulty: String, $language: String, $tournamentId: ID) {
+    createChallenge(participants: $participants, pid: $pid, difficulty: $difficulty, language: $language, tournamentId: $tournamentId) {
+      ${CHALLENGE_FIELDS}
+    }
+  }
+`;
+
+export const START_CHALLENGE_MUTATION = `
+  mutation StartChallenge($cid: ID!) {
+    startChallenge(cid: $cid) {
+      ${CHALLENGE_FIELDS}
+    }
+  }
+`;
+
+// participantScores: [{ username, score, rank, rawScore, bonus, penalty, finishTime }], see ranking.js
+// ratingChanges: [{ username, oldRating, newRating, delta }], see ratings.js
+export const END_CHALLENGE_MUTATION = `
+  mutation EndChallenge($cid: ID!, $participantScores: [ParticipantScoreInput!]!, $ratingChanges: [RatingChangeInput!], $progress: [PlayerProgressInput!]) {
+    endChallenge(cid: $cid, participantScores: $participantScores, ratingChanges: $ratingChanges, progress: $progress) {
+      ${CHALLENGE_FIELDS}
+    }
+  }
+`;
+
+export const GET_SUBMISSION_QUERY = `
+  query GetSubmission($cid: ID!, $username: String!, $submissionId: ID, $codeHash: String) {
+    getSubmission(cid: $cid, username: $username, submissionId: $submissionId, codeHash: $codeHash) {
+      submissionId
+      cid
+      username
+      testsPassed
+      score
+    }
+  }
+`;
@@ -0,0 +1,44 @@
+// Per-challenge rules. Each challenge from the backend may override these,
+// anything it leaves out falls back to the environment defaults below.
+
+const parseBoolean = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return value === 'true' || value === '1';
+};
+
+const parsePositiveNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+export const DEFAULT_CHALLENGE_CONFIG = Object.freeze({
+  duration: parsePositiveNumber(process.env.CHALLENGE_DURATION_MINUTES, 15) * 60 * 1000,
+  totalTests: parsePositiveNumber(process.env.CHALLENGE_TOTAL_TESTS, 12),
+  allowEarlyFinish: parseBoolean(process.env.CHALLENGE_ALLOW_EARLY_FINISH, true),
+  allowSpectators: parseBoolean(process.env.CHALLENGE_ALLOW_SPECTATORS, true),
+  maxSpectators: parsePositiveNumber(process.env.CHALLENGE_MAX_SPECTATORS, 0), // 0 means no cap
+  startCountdown: parsePositiveNumber(process.env.CHALLENGE_START_COUNTDOWN_SECONDS, 10) * 1000, // Before a host or minimum-ready start
+  // How long a disconnected player keeps their slot, by lobby status
+  gracePeriods: Object.freeze({
+    WAITING: parsePositiveNumber(process.env.GRACE_PERIOD_WAITING_MS, 5000),
+    IN_PROGRESS: parsePositiveNumber(process.env.GRACE_PERIOD_IN_PROGRESS_MS, 5000),
+    ENDED: parsePositiveNumber(process.env.GRACE_PERIOD_ENDED_MS, 5000)
+  })
+});
+
+// Build a lobby config from a challenge returned by `getChallengeById`
+export function resolveChallengeConfig(challenge) {
+  return {
+    duration: parsePositiveNumber(challenge?.durationMinutes, DEFAULT_CHALLENGE_CONFIG.duration / (60 * 1000)) * 60 * 1000,
+    totalTests: parsePositiveNumber(challenge?.totalTests, DEFAULT_CHALLENGE_CONFIG.totalTests),
+    allowEarlyFinish: typeof challenge?.allowEarlyFinish === 'boolean'
+      ? challenge.allowEarlyFinish
+      : DEFAULT_CHALLENGE_CONFIG.allowEarlyFinish,
+    allowSpectators: typeof challenge?.allowSpectators === 'boolean'
+      ? challenge.allowSpectators
+      : DEFAULT_CHALLENGE_CONFIG.allowSpectators,
+    maxSpectators: parsePositiveNumber(challenge?.maxSpectators, DEFAULT_CHALLENGE_CONFIG.maxSpectators),
+    startCountdown: DEFAULT_CHALLENGE_CONFIG.startCountdown,
+    gracePeriods: DEFAULT_CHALLENGE_CONFIG.gracePeriods
+  };
+}
@@ -0,0 +1,63 @@
+// Challenge timer model. A timer counts down to `endTime`; while paused
+// (`pausedAt` set) the clock is frozen at `remainingTime` and `endTime` is
+// recomputed on resume. These helpers only touch the plain timer fields, the
+// server owns the interval and backup timeout handles stored alongside them.
+
+export function createTimer(startTime, duration) {
+  return {
+    startTime,
+    endTime: startTime + duration,
+    pausedAt: null,
+    remainingTime: null
+  };
+}
+
+export function isTimerPaused(timer) {
+  return Boolean(timer?.pausedAt);
+}
+
+export function getRemainingTime(timer, now = Date.now()) {
+  if (isTimerPaused(timer)) return timer.remainingTime;
+  return Math.max(0, timer.endTime - now);
+}
+
+export function isTimerExpired(timer, now = Date.now()) {
+  return !isTimerPaused(timer) && timer.endTime <= now;
+}
+
+// Each change returns false if it does not apply to the timer's current state
+export function pauseTimer(timer, now = Date.now()) {
+  if (isTimerPaused(timer)) return false;
+  timer.remainingTime = getRemainingTime(timer, now);
+  timer.pausedAt = now;
+  return true;
+}
+
+export function resumeTimer(timer, now = Date.now()) {
+  if (!isTimerPaused(timer)) return false;
+  timer.endTime = now + timer.remainingTime;
+  timer.pausedAt = null;
+  timer.remainingTime = null;
+  return true;
+}
+
+export function extendTimer(timer, ms) {
+  if (!(ms > 0)) return false;
+  if (isTimerPaused(timer)) {
+    timer.remainingTime += ms;
+  } else {
+    timer.endTime += ms;
+  }
+  return true;
+}
+
+// Plain fields shared with other nodes and the lobby store
+export function serializeTimer(timer) {
+  if (!timer) return null;
+  return {
+    startTime: timer.startTime,
+    endTime: timer.endTime,
+    pausedAt: timer.pausedAt || null,
+    remainingTime: timer.pausedAt ? timer.remainingTime : null
+  };
+}
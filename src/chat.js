@@ -0,0 +1,94 @@
+import { randomUUID } from 'crypto';
+import { systemClock } from './clock.js';
+
+// Lobby chat rules, configured through the environment
+export const CHAT_CONFIG = Object.freeze({
+  historySize: Number(process.env.CHAT_HISTORY_SIZE) || 50, // Messages replayed to joiners
+  maxLength: Number(process.env.CHAT_MAX_LENGTH) || 500,
+  rateLimit: Number(process.env.CHAT_RATE_LIMIT) || 5, // Messages per user per window
+  rateWindow: Number(process.env.CHAT_RATE_WINDOW_MS) || 10 * 1000,
+  blocklist: (process.env.CHAT_BLOCKLIST || '')
+    .split(',')
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean),
+  // "mask" replaces blocked words with asterisks, "reject" refuses the whole message
+  blocklistMode: process.env.CHAT_BLOCKLIST_MODE === 'reject' ? 'reject' : 'mask',
+  muteDuringChallenge: process.env.CHAT_MUTE_DURING_CHALLENGE !== 'false'
+});
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Returns a function that checks text against the blocklist
+export function createChatFilter(blocklist = CHAT_CONFIG.blocklist) {
+  if (blocklist.length === 0) {
+    return (text) => ({ text, blocked: false });
+  }
+
+  const pattern = new RegExp(`\\b(${blocklist.map(escapeRegExp).join('|')})\\b`, 'gi');
+  return (text) => {
+    let blocked = false;
+    const filtered = text.replace(pattern, (word) => {
+      blocked = true;
+      return '*'.repeat(word.length);
+    });
+    return { text: filtered, blocked };
+  };
+}
+
+// Sliding-window limiter keyed by user. Keys only stay around while their
+// window holds hits: forget() drops one right away, prune() every idle one.
+export function createRateLimiter({
+  limit = CHAT_CONFIG.rateLimit,
+  windowMs = CHAT_CONFIG.rateWindow,
+  clock = systemClock
+} = {}) {
+  const hits = new Map();
+  const recentHits = (key, now) => (hits.get(key) || []).filter((time) => now - time < windowMs);
+
+  return {
+    allow(key) {
+      const now = clock.now();
+      const recent = recentHits(key, now);
+      if (recent.length >= limit) {
+        hits.set(key, recent);
+        return false;
+      }
+      recent.push(now);
+      hits.set(key, recent);
+      return true;
+    },
+    forget(key) {
+      hits.delete(key);
+    },
+    prune() {
+      const now = clock.now();
+      for (const key of hits.keys()) {
+        if (recentHits(key, now).length === 0) {
+          hits.delete(key);
+        }
+      }
+    },
+    get size() {
+      return hits.size;
+    }
+  };
+}
+
+export function createChatMessage({ username, text, spectator = false, sentAt = Date.now() }) {
+  return {
+    id: randomUUID(),
+    username,
+    text,
+    spectator,
+    sentAt
+  };
+}
+
+// Keep only the most recent messages
+export function appendChatHistory(history, chatMessage, historySize = CHAT_CONFIG.historySize) {
+  if (history.some((existing) => existing.id === chatMessage.id)) return;
+  history.push(chatMessage);
+  if (history.length > historySize) {
+    history.splice(0, history.length - historySize);
+  }
+}
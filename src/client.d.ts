@@ -0,0 +1,272 @@
+// Types for the client SDK in client.js. Field lists mirror SERVER_MESSAGES in protocol.js.
+
+export interface PlayerSummary {
+  username: string;
+  cid: string;
+  ready: boolean;
+  running: boolean;
+  testsPassed: number;
+  submitted: boolean;
+  submittedResults: number;
+  submittedTestsPassed: number;
+}
+
+export interface PlayerRef {
+  username: string;
+  cid: string;
+}
+
+export interface ChallengeConfig {
+  duration: number;
+  totalTests: number;
+  allowEarlyFinish: boolean;
+  allowSpectators: boolean;
+  maxSpectators: number;
+  startCountdown: number;
+  gracePeriods: Record<'WAITING' | 'IN_PROGRESS' | 'ENDED', number>;
+}
+
+export interface TimerInfo {
+  startTime: number;
+  endTime: number;
+  remainingTime: number;
+  paused?: boolean;
+  isEstimated?: boolean;
+}
+
+export interface ChatMessage {
+  id: string;
+  username: string;
+  text: string;
+  spectator: boolean;
+  sentAt: number;
+}
+
+export interface FinalScore {
+  username: string;
+  score: number; // rawScore + bonus - penalty
+  rank: number; // Shared by genuine ties
+  rawScore: number;
+  bonus: number;
+  penalty: number;
+  finishTime: number | null; // ms from the start until the score was reached (or the player finished early)
+  oldRating: number;
+  newRating: number;
+}
+
+// One verified test run or submission; runs and submissions count up from 0
+export interface ProgressPoint {
+  at: number;
+  testsPassed: number;
+  runs: number;
+  submissions: number;
+}
+
+// [at, testsPassed, runs, submissions]
+export type CompactProgressPoint = [number, number, number, number];
+
+export interface TournamentStanding {
+  rank: number;
+  username: string;
+  seed: number;
+  points: number;
+  wins: number;
+  draws: number;
+  losses: number;
+  byes: number;
+  noShows: number;
+  eliminated: boolean;
+}
+
+export interface TournamentMatch {
+  id: string;
+  round: number;
+  players: string[];
+  cid: string | null;
+  status: 'pending' | 'playing' | 'finished';
+  results: Record<string, 'win' | 'draw' | 'loss' | 'noShow'> | null;
+}
+
+// Lobby events carry the sequence number used for `resume`
+interface Sequenced {
+  sequence?: number;
+}
+
+export interface ServerMessages {
+  welcome: { protocolVersion: number; serverVersion: string };
+  authenticated: { username: string; cid: string | null };
+  authError: { message: string };
+  error: { code: string; message: string; field?: string; requestType?: string };
+  serverShuttingDown: { reason: string; closesAt: number; resumable: boolean; retryAfter: number };
+
+  lobbyState: {
+    players: Array<PlayerSummary & { latency: number | null }>;
+    status: 'WAITING' | 'IN_PROGRESS' | 'ENDED';
+    timer: TimerInfo | null;
+    config: ChallengeConfig;
+    sequence: number;
+    spectatorCount: number;
+    chat: ChatMessage[];
+    chatMuted: boolean;
+    host: string | null;
+    locked: boolean;
+    minReady: number | null;
+    countdown: { endsAt: number; reason: string } | null;
+    finalScores: FinalScore[] | null;
+    progress: Record<string, CompactProgressPoint[]>; // Thinned out to PROGRESS_SNAPSHOT_POINTS per player
+  };
+  joinError: { message: string };
+  resumed: { sequence: number; snapshot: boolean; replayed?: number };
+  playerJoined: Sequenced & { player: PlayerSummary };
+  playerReadyToggle: Sequenced & { player: PlayerSummary };
+  playerDisconnected: Sequenced & { player: PlayerRef; temporary: boolean; gracePeriod: number };
+  playerReconnected: Sequenced & { player: PlayerRef };
+  playerLeft: Sequenced & { player: PlayerRef; permanent: boolean };
+  playerKicked: Sequenced & { player: PlayerRef; reason: string };
+  kicked: { reason: string };
+  lobbyClosed: { reason: string };
+
+  hostChanged: Sequenced & { host: string | null; reason: string };
+  lobbySettingsChanged: Sequenced & { locked: boolean; minReady: number | null };
+  countdownStarted: Sequenced & { endsAt: number; duration: number; reason: string };
+  countdownCancelled: Sequenced & { reason: string };
+
+  spectateError: { message: string };
+  spectatorError: { message: string };
+  spectatorCount: Sequenced & { count: number };
+
+  challengeStarted: Sequenced & { data: unknown };
+  timerStarted: Sequenced & { startTime: number; endTime: number; duration: number; totalTests: number };
+  timerUpdate: { remainingTime: number };
+  timerPaused: Sequenced & { remainingTime: number; pausedAt: number; reason?: string };
+  timerResumed: Sequenced & { endTime: number; remainingTime: number; reason?: string };
+  timerExtended: Sequenced & { extendedBy: number; endTime: number; remainingTime: number; paused: boolean; reason?: string };
+  playerCodeRunning: Sequenced & { player: PlayerRef & { running: true } };
+  playerCodeFinished: Sequenced & { player: PlayerRef & { running: false } };
+  playerTestResults: Sequenced & { player: PlayerRef & { testsPassed: number }; point: ProgressPoint };
+  playerCodeSubmitted: Sequenced & {
+    player: PlayerRef & { submitted: true; submittedResults: number; submittedTestsPassed: number };
+    point: ProgressPoint;
+  };
+  submissionRejected: { code: string; message: string; submissionId: string | null; codeHash: string | null };
+  canEndChallenge: Sequenced & { player: PlayerRef };
+  cannotEndYet: { message: string };
+  challengeEndedForUser: { message: string; finalScore: number; testsPassed: number };
+  playerCompletedAndLeft: Sequenced & {
+    player: PlayerRef & { finalScore: number; testsPassed: number; reason: string };
+  };
+  challengeEnded: Sequenced & {
+    reason: string;
+    finalScores: FinalScore[];
+    progress: Array<{ username: string; points: ProgressPoint[] }>;
+  };
+  challengeEndedConfirmed: Sequenced & { data: unknown };
+
+  rematchVote: Sequenced & {
+    requestedBy: string;
+    newProblem: boolean;
+    accepted: string[];
+    declined: string[];
+    waitingFor: string[];
+    expiresAt: number;
+  };
+  rematchReady: { cid: string; previousCid: string; players: string[] };
+  rematchCancelled: Sequenced & { reason: string };
+
+  chatMessage: Sequenced & { message: ChatMessage };
+  systemAnnouncement: Sequenced & { text: string; sentAt: number };
+
+  queueStatus: { position: number; queueSize: number; band: number; waited: number; estimatedWait: number | null };
+  queueLeft: { reason: string };
+  matchFound: { cid: string; players: string[]; difficulty: string | null; language: string | null };
+
+  tournamentStandings: {
+    tournamentId: string;
+    name: string;
+    format: 'swiss' | 'knockout';
+    status: 'running' | 'finished';
+    round: number;
+    totalRounds: number;
+    standings: TournamentStanding[];
+    matches: TournamentMatch[];
+  };
+  tournamentMatch: { tournamentId: string; round: number; cid: string; players: string[] };
+  tournamentBye: { tournamentId: string; round: number };
+  replayStarted: { cid: string; speed: 1 | 4 | 16; events: number; duration: number };
+  replayFinished: { cid: string };
+}
+
+export type ServerMessage = {
+  [K in keyof ServerMessages]: { type: K } & ServerMessages[K];
+}[keyof ServerMessages];
+
+// Events raised by the client itself, next to one event per server message type
+export interface ClientEvents {
+  connected: ServerMessages['welcome'] & { type: 'welcome'; reconnected: boolean };
+  disconnected: { code: number; reason: string };
+  reconnecting: { attempt: number; delay: number };
+  clientError: Error;
+  message: ServerMessage;
+}
+
+export type MeetcodeClientEvents = ClientEvents & {
+  [K in keyof ServerMessages]: { type: K } & ServerMessages[K];
+};
+
+export interface SubmissionRef {
+  submissionId?: string;
+  codeHash?: string;
+  testsPassed?: number;
+  submittedResults?: number;
+}
+
+export interface QueuePreferences {
+  difficulty?: string;
+  language?: string;
+}
+
+export interface MeetcodeClientOptions {
+  url: string;
+  token: string | (() => string | Promise<string>);
+  WebSocket?: unknown;
+  reconnect?: boolean;
+  minReconnectDelay?: number;
+  maxReconnectDelay?: number;
+}
+
+export interface MeetcodeClient {
+  connect(): Promise<ServerMessages['welcome'] & { type: 'welcome' }>;
+  close(): void;
+  on<E extends keyof MeetcodeClientEvents>(event: E, listener: (payload: MeetcodeClientEvents[E]) => void): () => void;
+  off<E extends keyof MeetcodeClientEvents>(event: E, listener: (payload: MeetcodeClientEvents[E]) => void): void;
+  once<E extends keyof MeetcodeClientEvents>(event: E, listener: (payload: MeetcodeClientEvents[E]) => void): () => void;
+  join(cid: string): void;
+  spectate(cid: string): void;
+  queue(preferences?: QueuePreferences): void;
+  leaveQueue(): void;
+  watchTournament(tournamentId: string): void;
+  replay(cid: string, speed?: 1 | 4 | 16): void;
+  stopReplay(): void;
+  ready(): void;
+  codeRunning(): void;
+  codeFinished(): void;
+  testResults(ref: SubmissionRef): void;
+  codeSubmitted(ref: SubmissionRef): void;
+  endChallenge(): void;
+  endChallengeForUser(): void;
+  sendChat(text: string): void;
+  kickPlayer(target: string, reason?: string): void;
+  transferHost(target: string): void;
+  lockLobby(locked?: boolean): void;
+  setMinReady(minReady: number): void;
+  forceStart(): void;
+  requestRematch(options?: { newProblem?: boolean }): void;
+  declineRematch(): void;
+  send(message: { type: string; [field: string]: unknown }): void;
+  readonly connected: boolean;
+  readonly protocolVersion: number | null;
+  readonly lastSequence: number | null;
+  readonly cid: string | null;
+}
+
+export function createMeetcodeClient(options: MeetcodeClientOptions): MeetcodeClient;
@@ -0,0 +1,286 @@
+import { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, CLOSE_CODES } from './protocol.js';
+
+// JavaScript client for the lobby protocol, usable from browsers and Node.
+// It performs the version handshake, reconnects with exponential backoff (or
+// after the delay a shutting-down server asks for), and resumes the joined
+// lobby from the last event it saw.
+//
+//   const client = createMeetcodeClient({ url: 'ws://localhost:4000', token });
+//   client.on('lobbyState', (state) => ...);
+//   await client.connect();
+//   client.join('challenge-id');
+//
+// In Node 20, pass the `ws` package as `WebSocket`.
+
+// Reconnecting would not help after these
+const FATAL_CLOSE_CODES = new Set([CLOSE_CODES.AUTH_FAILED, CLOSE_CODES.UNSUPPORTED_PROTOCOL, CLOSE_CODES.KICKED]);
+const NORMAL_CLOSURE = 1000;
+const OPEN = 1;
+
+export function createMeetcodeClient({
+  url,
+  token, // string, or a function returning one (sync or async) for refreshable tokens
+  WebSocket: WebSocketImpl = globalThis.WebSocket,
+  reconnect = true,
+  minReconnectDelay = 500,
+  maxReconnectDelay = 30 * 1000
+}) {
+  if (!WebSocketImpl) {
+    throw new Error('No WebSocket implementation available, pass one as `WebSocket`');
+  }
+
+  const listeners = new Map();
+  let socket = null;
+  let closedByUser = false;
+  let attempts = 0;
+  let reconnectTimer = null;
+  let shutdownRetryAfter = null; // Delay asked for by a server that is shutting down
+  let pendingConnect = null; // { resolve, reject } for the first connect()
+  let session = null; // { cid, mode: 'join' | 'spectate' }
+  let queuePreferences = null; // { difficulty?, language? } while waiting for a match
+  let lastSequence = null;
+  let protocolVersion = null;
+
+  const emit = (event, payload) => {
+    for (const listener of [...(listeners.get(event) || [])]) {
+      listener(payload);
+    }
+  };
+
+  const off = (event, listener) => {
+    listeners.get(event)?.delete(listener);
+  };
+
+  // Returns a function that removes the listener again
+  const on = (event, listener) => {
+    if (!listeners.has(event)) listeners.set(event, new Set());
+    listeners.get(event).add(listener);
+    return () => off(event, listener);
+  };
+
+  const once = (event, listener) => {
+    const remove = on(event, (payload) => {
+      remove();
+      listener(payload);
+    });
+    return remove;
+  };
+
+  const send = (message) => {
+    if (socket?.readyState !== OPEN) {
+      throw new Error('Not connected');
+    }
+    socket.send(JSON.stringify(message));
+  };
+
+  // Lobby messages always go to the joined (or watched) lobby
+  const sendToLobby = (type, fields = {}) => {
+    if (!session) {
+      throw new Error('Join or spectate a lobby first');
+    }
+    send({ type, cid: session.cid, ...fields });
+  };
+
+  const trackSequence = (message) => {
+    if (message.type === 'lobbyState' || message.type === 'resumed') {
+      lastSequence = message.sequence ?? lastSequence;
+    } else if (Number.isInteger(message.sequence)) {
+      lastSequence = Math.max(lastSequence ?? 0, message.sequence);
+    }
+  };
+
+  // Pick up the lobby (or the place in the queue) again after a reconnect
+  const restoreSession = () => {
+    if (queuePreferences) {
+      send({ type: 'queue', ...queuePreferences });
+    }
+    if (!session) return;
+    if (session.mode === 'spectate') {
+      send({ type: 'spectate', cid: session.cid });
+    } else if (lastSequence === null) {
+      send({ type: 'join', cid: session.cid });
+    } else {
+      send({ type: 'resume', cid: session.cid, lastSequence });
+    }
+  };
+
+  const handleMessage = (message) => {
+    if (message.type === 'welcome') {
+      protocolVersion = message.protocolVersion;
+      const reconnected = attempts > 0;
+      attempts = 0;
+      emit('connected', { ...message, reconnected });
+      pendingConnect?.resolve(message);
+      pendingConnect = null;
+      restoreSession();
+    }
+
+    if (message.type === 'serverShuttingDown') {
+      shutdownRetryAfter = message.retryAfter ?? null;
+    }
+
+    if (message.type === 'matchFound' || message.type === 'queueLeft') {
+      queuePreferences = null;
+    }
+
+    // Follow the other players into the rematch
+    if (message.type === 'rematchReady') {
+      session = { cid: message.cid, mode: 'join' };
+      lastSequence = null;
+      send({ type: 'join', cid: message.cid });
+    }
+
+    trackSequence(message);
+    emit('message', message);
+    emit(message.type, message);
+  };
+
+  const scheduleReconnect = () => {
+    const delay = shutdownRetryAfter ?? Math.min(maxReconnectDelay, minReconnectDelay * 2 ** attempts);
+    shutdownRetryAfter = null;
+    attempts++;
+    emit('reconnecting', { attempt: attempts, delay });
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      open().catch((err) => {
+        emit('clientError', err);
+        scheduleReconnect();
+      });
+    }, delay);
+  };
+
+  async function open() {
+    const currentToken = typeof token === 'function' ? await token() : token;
+    const separator = url.includes('?') ? '&' : '?';
+    const ws = new WebSocketImpl(`${url}${separator}token=${encodeURIComponent(currentToken)}`);
+    socket = ws;
+
+    ws.onopen = () => {
+      ws.send(JSON.stringify({
+        type: 'hello',
+        protocolVersion: PROTOCOL_VERSION,
+        minProtocolVersion: MIN_PROTOCOL_VERSION
+      }));
+    };
+
+    ws.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      handleMessage(message);
+    };
+
+    ws.onclose = (event) => {
+      if (socket === ws) socket = null;
+      protocolVersion = null;
+      emit('disconnected', { code: event.code, reason: event.reason });
+
+      const fatal = FATAL_CLOSE_CODES.has(event.code);
+      if (pendingConnect && (fatal || !reconnect)) {
+        pendingConnect.reject(new Error(`Connection closed (${event.code}${event.reason ? `: ${event.reason}` : ''})`));
+        pendingConnect = null;
+      }
+      if (closedByUser || !reconnect || fatal || event.code === NORMAL_CLOSURE) return;
+      scheduleReconnect();
+    };
+
+    // A 'close' event always follows, which is where reconnecting happens
+    ws.onerror = () => {};
+  }
+
+  return {
+    // Resolves with the server's `welcome` once the handshake is done (retrying while
+    // the server is unreachable), rejects if the server refuses the connection
+    connect() {
+      closedByUser = false;
+      return new Promise((resolve, reject) => {
+        pendingConnect = { resolve, reject };
+        open().catch((err) => {
+          pendingConnect = null;
+          reject(err);
+        });
+      });
+    },
+
+    close() {
+      closedByUser = true;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      socket?.close(NORMAL_CLOSURE, 'Client closed');
+    },
+
+    // Plain functions, so `const { on } = client` works too
+    on,
+    off,
+    once,
+
+    join(cid) {
+      session = { cid, mode: 'join' };
+      lastSequence = null;
+      send({ type: 'join', cid });
+    },
+
+    spectate(cid) {
+      session = { cid, mode: 'spectate' };
+      lastSequence = null;
+      send({ type: 'spectate', cid });
+    },
+
+    // Wait for a match; join the `cid` from the `matchFound` event
+    queue(preferences = {}) {
+      queuePreferences = preferences;
+      send({ type: 'queue', ...preferences });
+    },
+
+    leaveQueue() {
+      queuePreferences = null;
+      send({ type: 'leaveQueue' });
+    },
+
+    // Receive `tournamentStandings` for a tournament without playing in it
+    watchTournament: (tournamentId) => send({ type: 'watchTournament', tournamentId }),
+    // Replays a finished challenge's broadcasts; they arrive as normal messages
+    replay: (cid, speed = 1) => send({ type: 'replay', cid, speed }),
+    stopReplay: () => send({ type: 'stopReplay' }),
+
+    ready: () => sendToLobby('ready'),
+    codeRunning: () => sendToLobby('codeRunning'),
+    codeFinished: () => sendToLobby('codeFinished'),
+    // `ref` is { submissionId } or { codeHash }, optionally with the expected results
+    testResults: (ref) => sendToLobby('testResults', ref),
+    codeSubmitted: (ref) => sendToLobby('codeSubmitted', ref),
+    endChallenge: () => sendToLobby('endChallenge'),
+    endChallengeForUser: () => sendToLobby('endChallengeForUser'),
+    sendChat: (text) => sendToLobby('chatMessage', { text }),
+
+    // Host only, while the lobby is waiting (answered with an `error` otherwise)
+    kickPlayer: (target, reason) => sendToLobby('kickPlayer', { target, reason }),
+    transferHost: (target) => sendToLobby('transferHost', { target }),
+    lockLobby: (locked = true) => sendToLobby('lockLobby', { locked }),
+    setMinReady: (minReady) => sendToLobby('setMinReady', { minReady }),
+    forceStart: () => sendToLobby('forceStart'),
+
+    // After `challengeEnded`; the client joins the new lobby on `rematchReady`
+    requestRematch: ({ newProblem = false } = {}) => sendToLobby('requestRematch', { newProblem }),
+    declineRematch: () => sendToLobby('declineRematch'),
+
+    // Escape hatch for messages without a helper
+    send,
+
+    get connected() {
+      return socket?.readyState === OPEN && protocolVersion !== null;
+    },
+    get protocolVersion() {
+      return protocolVersion;
+    },
+    get lastSequence() {
+      return lastSequence;
+    },
+    get cid() {
+      return session?.cid ?? null;
+    }
+  };
+}
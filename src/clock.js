@@ -0,0 +1,9 @@
+// The server reads time and schedules timers through a clock so tests can
+// swap in a fake one and fast-forward through grace periods and countdowns.
+export const systemClock = Object.freeze({
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (id) => clearInterval(id)
+});
@@ -0,0 +1,165 @@
+import { EventEmitter } from 'events';
+
+// A cluster adapter connects socket server instances. Adapters implement:
+//   publish(channel, message)            -> Promise<void>
+//   subscribe(channel, handler)          -> Promise<void>   handler(message)
+//   unsubscribe(channel)                 -> Promise<void>
+//   acquireLock(key, owner, ttlMs)       -> Promise<boolean> (true if `owner` now holds the lock)
+//   renewLock(key, owner, ttlMs)         -> Promise<boolean> (false if the lock was lost)
+//   releaseLock(key, owner)              -> Promise<void>
+//   nextSequence(key, floor)             -> Promise<number>  (cluster-wide counter, always > floor)
+// Messages are plain objects; adapters JSON-encode them on the wire.
+
+// Shared state for in-process adapters. Instances created with the same hub
+// behave like nodes of one cluster (used for a single process and in tests).
+export function createInProcessHub() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  return { emitter, locks: new Map(), sequences: new Map() };
+}
+
+export function createInProcessAdapter({ hub = createInProcessHub() } = {}) {
+  const handlers = new Map();
+
+  const lockHolder = (key) => {
+    const lock = hub.locks.get(key);
+    if (!lock) return null;
+    if (lock.expiresAt <= Date.now()) {
+      hub.locks.delete(key);
+      return null;
+    }
+    return lock.owner;
+  };
+
+  return {
+    async publish(channel, message) {
+      const payload = JSON.stringify(message);
+      // Deliver asynchronously, like a real broker would
+      setImmediate(() => hub.emitter.emit(channel, payload));
+    },
+    async subscribe(channel, handler) {
+      if (handlers.has(channel)) return;
+      const listener = (payload) => handler(JSON.parse(payload));
+      handlers.set(channel, listener);
+      hub.emitter.on(channel, listener);
+    },
+    async unsubscribe(channel) {
+      const listener = handlers.get(channel);
+      if (!listener) return;
+      hub.emitter.off(channel, listener);
+      handlers.delete(channel);
+    },
+    async acquireLock(key, owner, ttlMs) {
+      const holder = lockHolder(key);
+      if (holder && holder !== owner) return false;
+      hub.locks.set(key, { owner, expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+    async renewLock(key, owner, ttlMs) {
+      if (lockHolder(key) !== owner) return false;
+      hub.locks.set(key, { owner, expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+    async releaseLock(key, owner) {
+      if (lockHolder(key) === owner) {
+        hub.locks.delete(key);
+      }
+    },
+    async nextSequence(key, floor = 0) {
+      const next = Math.max(hub.sequences.get(key) || 0, floor) + 1;
+      hub.sequences.set(key, next);
+      return next;
+    }
+  };
+}
+
+// Only touch a lock if we still own it
+const RENEW_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+// Counters never go below the floor, so they survive a Redis flush or a restart
+const SEQUENCE_SCRIPT = `
+local current = tonumber(redis.call('get', KEYS[1]) or '0')
+local floor = tonumber(ARGV[1])
+if floor > current then
+  current = floor
+end
+current = current + 1
+redis.call('set', KEYS[1], current, 'PX', ARGV[2])
+return current
+`;
+
+const SEQUENCE_TTL = 24 * 60 * 60 * 1000;
+
+// Redis-backed adapter. Takes two ioredis-compatible clients because a
+// connection in subscriber mode cannot issue regular commands.
+export function createRedisAdapter({ publisher, subscriber, keyPrefix = 'meetcode:', logger = console }) {
+  const handlers = new Map();
+
+  subscriber.on('message', (channel, payload) => {
+    const handler = handlers.get(channel);
+    if (!handler) return;
+    try {
+      handler(JSON.parse(payload));
+    } catch (err) {
+      logger.error(`❌ Failed to handle cluster message on ${channel}:`, err);
+    }
+  });
+
+  return {
+    async publish(channel, message) {
+      await publisher.publish(keyPrefix + channel, JSON.stringify(message));
+    },
+    async subscribe(channel, handler) {
+      if (handlers.has(keyPrefix + channel)) return;
+      handlers.set(keyPrefix + channel, handler);
+      await subscriber.subscribe(keyPrefix + channel);
+    },
+    async unsubscribe(channel) {
+      if (!handlers.delete(keyPrefix + channel)) return;
+      await subscriber.unsubscribe(keyPrefix + channel);
+    },
+    async acquireLock(key, owner, ttlMs) {
+      const result = await publisher.set(keyPrefix + key, owner, 'PX', ttlMs, 'NX');
+      if (result === 'OK') return true;
+      // Re-acquiring a lock we already hold counts as success
+      return (await publisher.get(keyPrefix + key)) === owner;
+    },
+    async renewLock(key, owner, ttlMs) {
+      return Number(await publisher.eval(RENEW_SCRIPT, 1, keyPrefix + key, owner, ttlMs)) === 1;
+    },
+    async releaseLock(key, owner) {
+      await publisher.eval(RELEASE_SCRIPT, 1, keyPrefix + key, owner);
+    },
+    async nextSequence(key, floor = 0) {
+      return Number(await publisher.eval(SEQUENCE_SCRIPT, 1, keyPrefix + key, floor, SEQUENCE_TTL));
+    }
+  };
+}
+
+// Build the adapter configured through the environment
+export async function createClusterAdapterFromEnv(env = process.env, { logger = console } = {}) {
+  if (env.CLUSTER_ADAPTER !== 'redis') {
+    return createInProcessAdapter();
+  }
+
+  const { default: Redis } = await import('ioredis');
+  const redisUrl = env.REDIS_URL || 'redis://localhost:6379';
+  logger.log(`🔗 Using Redis cluster adapter at ${redisUrl}`);
+  return createRedisAdapter({
+    publisher: new Redis(redisUrl),
+    subscriber: new Redis(redisUrl),
+    logger
+  });
+}
@@ -0,0 +1,45 @@
+// Every lobby event carries a `sequence` number. Each node keeps the most
+// recent events per lobby so a reconnecting client can catch up with `resume`.
+
+export const EVENT_BUFFER_SIZE = Number(process.env.EVENT_BUFFER_SIZE) || 200;
+
+// Events that are only meaningful live; they are not numbered or replayed
+export const UNSEQUENCED_EVENTS = new Set(['timerUpdate']);
+
+// Add an event to the lobby's buffer, keeping it ordered by sequence
+export function recordLobbyEvent(lobby, event, excludeUsername = null) {
+  const buffer = lobby.eventBuffer;
+  if (buffer.some((entry) => entry.event.sequence === event.sequence)) return;
+
+  let index = buffer.length;
+  while (index > 0 && buffer[index - 1].event.sequence > event.sequence) {
+    index--;
+  }
+  buffer.splice(index, 0, { event, excludeUsername });
+
+  if (buffer.length > EVENT_BUFFER_SIZE) {
+    buffer.splice(0, buffer.length - EVENT_BUFFER_SIZE);
+  }
+  lobby.lastSequence = Math.max(lobby.lastSequence, event.sequence);
+}
+
+// Events after `lastSequence` meant for `username`, or null if the buffer no
+// longer reaches back that far and the client needs a full snapshot instead
+export function getEventsSince(lobby, lastSequence, username) {
+  if (!Number.isInteger(lastSequence) || lastSequence < 0 || lastSequence > lobby.lastSequence) {
+    return null;
+  }
+  if (lastSequence === lobby.lastSequence) {
+    return [];
+  }
+
+  const buffer = lobby.eventBuffer;
+  const oldest = buffer[0]?.event.sequence;
+  if (oldest === undefined || oldest > lastSequence + 1) {
+    return null;
+  }
+
+  return buffer
+    .filter(({ event, excludeUsername }) => event.sequence > lastSequence && excludeUsername !== username)
+    .map(({ event }) => event);
+}
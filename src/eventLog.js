@@ -0,0 +1,68 @@
+import { appendFile, mkdir, readFile } from 'fs/promises';
+import { join } from 'path';
+
+// Append-only record of a lobby's life: every inbound client message and every
+// outbound broadcast, one timestamped entry each. Logs implement:
+//   append(cid, entry)  -> Promise<void>
+//   read(cid)           -> Promise<Array<entry>>, oldest first (empty if nothing was recorded)
+// where entry is { at, direction: 'in' | 'out', username?, spectator?, message }.
+
+export const REPLAY_SPEEDS = [1, 4, 16];
+
+// Nothing survives the process; used by tests
+export function createMemoryEventLog() {
+  const logs = new Map();
+
+  return {
+    async append(cid, entry) {
+      if (!logs.has(cid)) logs.set(cid, []);
+      logs.get(cid).push(entry);
+    },
+    async read(cid) {
+      return [...(logs.get(cid) || [])];
+    }
+  };
+}
+
+// Default log: one JSON-lines file per challenge in `directory`
+export function createFileEventLog({ directory, logger = console }) {
+  const fileFor = (cid) => join(directory, `${encodeURIComponent(cid)}.jsonl`);
+  let writeQueue = mkdir(directory, { recursive: true }).catch((err) => {
+    logger.error(`❌ Failed to create event log directory ${directory}:`, err);
+  });
+
+  return {
+    append(cid, entry) {
+      writeQueue = writeQueue
+        .then(() => appendFile(fileFor(cid), `${JSON.stringify(entry)}\n`))
+        .catch((err) => {
+          logger.error(`❌ Failed to append to event log of ${cid}:`, err);
+        });
+      return writeQueue;
+    },
+    async read(cid) {
+      await writeQueue;
+      let contents;
+      try {
+        contents = await readFile(fileFor(cid), 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      return contents.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+    }
+  };
+}
+
+// The broadcasts of a log as [{ delay, message }], `delay` being the time from
+// the first broadcast divided by `speed`
+export function getReplayFrames(entries, speed = 1) {
+  const broadcasts = entries.filter((entry) => entry.direction === 'out');
+  if (broadcasts.length === 0) return [];
+
+  const startedAt = broadcasts[0].at;
+  return broadcasts.map(({ at, message }) => ({
+    delay: Math.round((at - startedAt) / speed),
+    message
+  }));
+}
@@ -0,0 +1,94 @@
+// Minimal router for the plain `http` server the WebSocket server is attached to.
+// Paths may contain `:name` segments, which end up in `req.params`.
+
+export function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Errors with a statusCode are answered with that status and their message
+export function httpError(statusCode, message) {
+  return Object.assign(new Error(message), { statusCode });
+}
+
+// Parse a JSON request body, rejecting bodies over `limit` bytes
+export function readJsonBody(req, { limit = 64 * 1024 } = {}) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size === 0) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(httpError(400, 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+export function createRouter({ logger = console } = {}) {
+  const routes = [];
+
+  const add = (method) => (path, handler) => {
+    const paramNames = [];
+    const pattern = new RegExp(`^${path.replace(/:(\w+)/g, (_, name) => {
+      paramNames.push(name);
+      return '([^/]+)';
+    })}/?$`);
+    routes.push({ method, pattern, paramNames, handler });
+  };
+
+  return {
+    get: add('GET'),
+    post: add('POST'),
+    delete: add('DELETE'),
+
+    // Request listener for http.createServer()
+    async handle(req, res) {
+      const url = new URL(req.url, 'http://localhost');
+      let pathMatched = false;
+
+      for (const route of routes) {
+        const match = route.pattern.exec(url.pathname);
+        if (!match) continue;
+        pathMatched = true;
+        if (route.method !== req.method) continue;
+
+        req.params = Object.fromEntries(route.paramNames.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+        req.query = url.searchParams;
+        try {
+          await route.handler(req, res);
+        } catch (err) {
+          if (err.statusCode) {
+            if (!res.headersSent) {
+              sendJson(res, err.statusCode, { error: err.message });
+            }
+            return;
+          }
+          logger.error(`❌ ${req.method} ${url.pathname} failed:`, err);
+          if (!res.headersSent) {
+            sendJson(res, 500, { error: 'Internal server error' });
+          }
+        }
+        return;
+      }
+
+      sendJson(res, pathMatched ? 405 : 404, { error: pathMatched ? 'Method not allowed' : 'Not found' });
+    }
+  };
+}
@@ -0,0 +1,171 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { serializeTimer } from './challengeTimer.js';
+
+// A lobby store keeps a serializable snapshot of every live lobby so the
+// server can pick up where it left off after a restart. Stores implement:
+//   load()               -> Promise<Array<[cid, snapshot]>>
+//   save(cid, snapshot)  -> Promise<void>
+//   remove(cid)          -> Promise<void>
+// The server also keeps the tournaments it runs here, under `tournament:<id>`.
+
+// Default store: nothing survives the process
+export function createMemoryLobbyStore() {
+  const snapshots = new Map();
+
+  return {
+    async load() {
+      return Array.from(snapshots.entries());
+    },
+    async save(cid, snapshot) {
+      snapshots.set(cid, snapshot);
+    },
+    async remove(cid) {
+      snapshots.delete(cid);
+    }
+  };
+}
+
+// Keeps all snapshots in a single JSON file, rewritten atomically. Changes are
+// batched: the file is written at most once per `writeDelay` ms, and save() and
+// remove() resolve once the write that includes their change is done.
+export function createFileLobbyStore({
+  filePath,
+  writeDelay = Number(process.env.LOBBY_STORE_WRITE_DELAY_MS) || 1000,
+  logger = console
+}) {
+  const snapshots = new Map();
+  let writeQueue = Promise.resolve();
+  let pendingWrite = null; // Write the next changes will be part of
+
+  const flush = () => {
+    writeQueue = writeQueue
+      .then(async () => {
+        const tmpPath = `${filePath}.tmp`;
+        await mkdir(dirname(filePath), { recursive: true });
+        await writeFile(tmpPath, JSON.stringify(Object.fromEntries(snapshots)));
+        await rename(tmpPath, filePath);
+      })
+      .catch((err) => {
+        logger.error(`❌ Failed to write lobby store ${filePath}:`, err);
+      });
+    return writeQueue;
+  };
+
+  const scheduleWrite = () => {
+    pendingWrite ??= new Promise((resolve) => {
+      setTimeout(() => {
+        pendingWrite = null;
+        flush().then(resolve);
+      }, writeDelay);
+    });
+    return pendingWrite;
+  };
+
+  return {
+    async load() {
+      try {
+        const contents = await readFile(filePath, 'utf8');
+        for (const [cid, snapshot] of Object.entries(JSON.parse(contents))) {
+          snapshots.set(cid, snapshot);
+        }
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          logger.error(`❌ Failed to read lobby store ${filePath}:`, err);
+        }
+      }
+      return Array.from(snapshots.entries());
+    },
+    async save(cid, snapshot) {
+      snapshots.set(cid, snapshot);
+      await scheduleWrite();
+    },
+    async remove(cid) {
+      if (!snapshots.delete(cid)) return;
+      await scheduleWrite();
+    }
+  };
+}
+
+function serializePlayer(playerData) {
+  const { socket, ...rest } = playerData;
+  return rest;
+}
+
+// Strip sockets and timer handles, keeping only plain data
+export function serializeLobby(lobby) {
+  return {
+    status: lobby.status,
+    started: lobby.started || false,
+    challengeEnded: lobby.challengeEnded,
+    config: lobby.config || null,
+    chatHistory: lobby.chatHistory,
+    lastSequence: lobby.lastSequence,
+    timer: serializeTimer(lobby.timer),
+    kickedPlayers: Array.from(lobby.kickedPlayers),
+    host: lobby.host || null,
+    locked: lobby.locked || false,
+    minReady: lobby.minReady || null,
+    problemId: lobby.problemId || null,
+    players: Array.from(lobby.players.entries()).map(([username, playerData]) => [
+      username,
+      serializePlayer(playerData)
+    ]),
+    completedPlayers: Array.from(lobby.completedPlayers.entries()).map(([username, playerData]) => [
+      username,
+      serializePlayer(playerData)
+    ]),
+    disconnectedPlayers: Array.from(lobby.disconnectedPlayers.entries()).map(([username, { playerData, disconnectedAt }]) => [
+      username,
+      { playerData: serializePlayer(playerData), disconnectedAt }
+    ]),
+    savedAt: Date.now()
+  };
+}
+
+// Rebuild a lobby from its snapshot. Nobody has a socket after a restart, so
+// every player who was connected comes back as temporarily disconnected.
+export function deserializeLobby(snapshot) {
+  const disconnectedPlayers = new Map();
+
+  for (const [username, playerData] of snapshot.players) {
+    disconnectedPlayers.set(username, {
+      playerData: { ...playerData, socket: null },
+      disconnectTimer: null,
+      disconnectedAt: snapshot.savedAt
+    });
+  }
+  for (const [username, { playerData, disconnectedAt }] of snapshot.disconnectedPlayers) {
+    disconnectedPlayers.set(username, {
+      playerData: { ...playerData, socket: null },
+      disconnectTimer: null,
+      disconnectedAt
+    });
+  }
+
+  return {
+    players: new Map(),
+    completedPlayers: new Map(snapshot.completedPlayers),
+    disconnectedPlayers,
+    remotePlayers: new Map(), // Filled again as other nodes answer our sync request
+    spectators: new Set(),
+    remoteSpectatorCounts: new Map(),
+    config: snapshot.config || null,
+    chatHistory: snapshot.chatHistory || [],
+    lastSequence: snapshot.lastSequence || 0,
+    kickedPlayers: new Set(snapshot.kickedPlayers || []),
+    host: snapshot.host || null,
+    locked: snapshot.locked || false,
+    minReady: snapshot.minReady || null,
+    countdown: null, // Not persisted, the host can force-start again
+    problemId: snapshot.problemId || null,
+    finalScores: null,
+    rematch: null,
+    eventBuffer: [], // Not persisted, clients resuming from before the restart get a snapshot
+    timer: snapshot.timer ? { ...snapshot.timer, intervalId: null, backupTimeoutId: null } : null,
+    status: snapshot.status,
+    started: snapshot.started,
+    challengeEnded: snapshot.challengeEnded,
+    inactivityTimer: null
+  };
+}
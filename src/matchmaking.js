@@ -0,0 +1,124 @@
+// Matchmaking pool. Players queue with an optional difficulty and language
+// (left out means "any") and their rating. A group of `lobbySize` is formed
+// around the longest-waiting player from players who agree on difficulty and
+// language and whose rating lies within that player's band. The band starts at
+// `initialBand` and widens the longer they wait, up to `maxBand`.
+
+export const MATCHMAKING_CONFIG = Object.freeze({
+  lobbySize: Number(process.env.MATCH_LOBBY_SIZE) || 2, // Players per formed lobby
+  initialBand: Number(process.env.MATCH_INITIAL_BAND) || 100, // Rating difference accepted right away
+  bandGrowthPerSecond: Number(process.env.MATCH_BAND_GROWTH_PER_SECOND) || 10,
+  maxBand: Number(process.env.MATCH_MAX_BAND) || 1000,
+  interval: Number(process.env.MATCH_INTERVAL_MS) || 1000 // How often groups are formed and positions sent
+});
+
+const RECENT_WAITS = 20; // Matched players' waits averaged for the ETA
+
+// Two preferences agree if they are equal or either side takes anything
+const agrees = (a, b) => !a || !b || a === b;
+
+export function createMatchmaker({
+  lobbySize = MATCHMAKING_CONFIG.lobbySize,
+  initialBand = MATCHMAKING_CONFIG.initialBand,
+  bandGrowthPerSecond = MATCHMAKING_CONFIG.bandGrowthPerSecond,
+  maxBand = MATCHMAKING_CONFIG.maxBand
+} = {}) {
+  const entries = new Map(); // username -> { username, rating, difficulty, language, queuedAt }, in queue order
+  const recentWaits = [];
+
+  const bandFor = (entry, now) =>
+    Math.min(maxBand, initialBand + (Math.max(0, now - entry.queuedAt) / 1000) * bandGrowthPerSecond);
+
+  // Players the entry could be matched with, oldest first
+  const compatibleWith = (entry) => [...entries.values()].filter((other) =>
+    agrees(entry.difficulty, other.difficulty) && agrees(entry.language, other.language));
+
+  function formGroup(anchor, now) {
+    const band = bandFor(anchor, now);
+    const group = [anchor];
+    let { difficulty, language } = anchor;
+
+    for (const candidate of entries.values()) {
+      if (group.length === lobbySize) break;
+      if (candidate === anchor) continue;
+      if (!agrees(difficulty, candidate.difficulty) || !agrees(language, candidate.language)) continue;
+      if (Math.abs(candidate.rating - anchor.rating) > band) continue;
+
+      group.push(candidate);
+      difficulty = difficulty || candidate.difficulty;
+      language = language || candidate.language;
+    }
+
+    return group.length === lobbySize ? { players: group, difficulty, language } : null;
+  }
+
+  return {
+    // Returns false if the user is already queued
+    add({ username, rating, difficulty = null, language = null }, now) {
+      if (entries.has(username)) return false;
+      entries.set(username, { username, rating, difficulty, language, queuedAt: now });
+      return true;
+    },
+
+    // Put entries from a match that fell through back, keeping their place
+    restore(players) {
+      const queued = [...entries.values()];
+      entries.clear();
+      for (const entry of [...players, ...queued].sort((a, b) => a.queuedAt - b.queuedAt)) {
+        entries.set(entry.username, entry);
+      }
+    },
+
+    remove(username) {
+      return entries.delete(username);
+    },
+
+    has(username) {
+      return entries.has(username);
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    // Remove and return every group that can be formed now
+    takeMatches(now) {
+      const matches = [];
+      for (const anchor of [...entries.values()]) {
+        if (!entries.has(anchor.username)) continue; // Already placed in an earlier group
+
+        const match = formGroup(anchor, now);
+        if (!match) continue;
+
+        for (const player of match.players) {
+          entries.delete(player.username);
+          recentWaits.push(now - player.queuedAt);
+        }
+        recentWaits.splice(0, Math.max(0, recentWaits.length - RECENT_WAITS));
+        matches.push(match);
+      }
+      return matches;
+    },
+
+    // Position among the players the user could be matched with, and an ETA
+    // from recent waits (null until someone has been matched)
+    status(username, now) {
+      const entry = entries.get(username);
+      if (!entry) return null;
+
+      const pool = compatibleWith(entry);
+      const waited = now - entry.queuedAt;
+      const averageWait = recentWaits.length
+        ? recentWaits.reduce((sum, wait) => sum + wait, 0) / recentWaits.length
+        : null;
+
+      return {
+        position: pool.indexOf(entry) + 1,
+        queueSize: pool.length,
+        band: Math.round(bandFor(entry, now)),
+        waited,
+        estimatedWait: averageWait === null ? null : Math.max(0, Math.round(averageWait - waited))
+      };
+    }
+  };
+}
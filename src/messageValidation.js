@@ -0,0 +1,90 @@
+import { CLIENT_MESSAGES, ERROR_CODES } from './protocol.js';
+
+// Incoming WebSocket messages: size and rate limits, and validation against
+// the schemas in protocol.js. Problems are answered with
+// { type: 'error', code, message, field?, requestType? }.
+
+export const MESSAGE_LIMITS = Object.freeze({
+  maxPayload: Number(process.env.MAX_MESSAGE_BYTES) || 16 * 1024, // Larger frames close the socket (1009)
+  rateBurst: Number(process.env.MESSAGE_RATE_BURST) || 20, // Messages a socket may send at once
+  ratePerSecond: Number(process.env.MESSAGE_RATE_PER_SECOND) || 10 // Sustained messages per second
+});
+
+export function isKnownMessageType(type) {
+  return Object.hasOwn(CLIENT_MESSAGES, type);
+}
+
+function checkField(name, value, rule, limits) {
+  if (value === undefined || value === null) {
+    return rule.required
+      ? { code: ERROR_CODES.MISSING_FIELD, field: name, message: `"${name}" is required` }
+      : null;
+  }
+
+  const typeOk = rule.type === 'integer'
+    ? Number.isInteger(value)
+    : rule.type === 'number'
+      ? Number.isFinite(value)
+      : typeof value === rule.type;
+  if (!typeOk) {
+    const article = rule.type === 'integer' ? 'an' : 'a';
+    return { code: ERROR_CODES.INVALID_FIELD, field: name, message: `"${name}" must be ${article} ${rule.type}` };
+  }
+
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return { code: ERROR_CODES.OUT_OF_RANGE, field: name, message: `"${name}" must be at most ${rule.maxLength} characters` };
+  }
+
+  const max = typeof rule.max === 'function' ? rule.max(limits) : rule.max;
+  if ((rule.min !== undefined && value < rule.min) || (max !== undefined && value > max)) {
+    return {
+      code: ERROR_CODES.OUT_OF_RANGE,
+      field: name,
+      message: `"${name}" must be between ${rule.min ?? '-∞'} and ${max ?? '∞'}`
+    };
+  }
+
+  return null;
+}
+
+// Check a parsed message against its schema. Returns null if it is valid,
+// otherwise { code, message, field? }.
+export function validateMessage(data, limits) {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    return { code: ERROR_CODES.INVALID_MESSAGE, message: 'Messages must be JSON objects' };
+  }
+  if (typeof data.type !== 'string') {
+    return { code: ERROR_CODES.MISSING_FIELD, field: 'type', message: '"type" is required' };
+  }
+  if (!isKnownMessageType(data.type)) {
+    return { code: ERROR_CODES.UNKNOWN_TYPE, field: 'type', message: `Unknown message type "${data.type}"` };
+  }
+
+  for (const [name, rule] of Object.entries(CLIENT_MESSAGES[data.type])) {
+    const problem = checkField(name, data[name], rule, limits);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+// Token bucket: holds up to `capacity` tokens, refilled continuously at
+// `refillPerSecond`. Each message takes one.
+export function createTokenBucket({
+  capacity = MESSAGE_LIMITS.rateBurst,
+  refillPerSecond = MESSAGE_LIMITS.ratePerSecond,
+  now = Date.now
+} = {}) {
+  let tokens = capacity;
+  let lastRefill = now();
+
+  return {
+    take() {
+      const current = now();
+      tokens = Math.min(capacity, tokens + ((current - lastRefill) / 1000) * refillPerSecond);
+      lastRefill = current;
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    }
+  };
+}
@@ -0,0 +1,112 @@
+import client from 'prom-client';
+
+// Prometheus metrics served on /metrics. Each server gets its own registry from
+// createMetrics(), so several servers in one process (tests, an in-process
+// cluster) keep separate numbers. Gauges that describe current state (lobbies,
+// sockets) are filled in at scrape time by the server's `collectors`.
+export function createMetrics({
+  collectors: {
+    lobbiesByStatus = () => ({}),
+    connectedSockets: countSockets = () => 0,
+    queuedPlayers: countQueued = () => 0
+  } = {}
+} = {}) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry, prefix: 'meetcode_socket_' });
+
+  new client.Gauge({
+    name: 'meetcode_socket_active_lobbies',
+    help: 'Lobbies held by this node, by status',
+    labelNames: ['status'],
+    registers: [registry],
+    collect() {
+      this.reset();
+      for (const [status, count] of Object.entries(lobbiesByStatus())) {
+        this.set({ status }, count);
+      }
+    }
+  });
+
+  new client.Gauge({
+    name: 'meetcode_socket_connected_sockets',
+    help: 'Open WebSocket connections on this node',
+    registers: [registry],
+    collect() {
+      this.set(countSockets());
+    }
+  });
+
+  new client.Gauge({
+    name: 'meetcode_socket_queued_players',
+    help: 'Players waiting in the matchmaking queue on this node',
+    registers: [registry],
+    collect() {
+      this.set(countQueued());
+    }
+  });
+
+  const matchesFormed = new client.Counter({
+    name: 'meetcode_socket_matches_formed_total',
+    help: 'Lobbies created by matchmaking',
+    registers: [registry]
+  });
+
+  const messagesReceived = new client.Counter({
+    name: 'meetcode_socket_messages_received_total',
+    help: 'Inbound WebSocket messages, by type',
+    labelNames: ['type'],
+    registers: [registry]
+  });
+
+  const broadcastsSent = new client.Counter({
+    name: 'meetcode_socket_broadcasts_total',
+    help: 'Lobby broadcasts, by event type',
+    labelNames: ['type'],
+    registers: [registry]
+  });
+
+  const broadcastFanout = new client.Histogram({
+    name: 'meetcode_socket_broadcast_fanout',
+    help: 'Local sockets reached per broadcast',
+    buckets: [0, 1, 2, 4, 8, 16, 32, 64, 128],
+    registers: [registry]
+  });
+
+  const backendRequestDuration = new client.Histogram({
+    name: 'meetcode_socket_backend_request_duration_seconds',
+    help: 'Backend GraphQL call latency (including retries), by operation',
+    labelNames: ['operation'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [registry]
+  });
+
+  const backendRequestErrors = new client.Counter({
+    name: 'meetcode_socket_backend_request_errors_total',
+    help: 'Failed backend GraphQL calls, by operation',
+    labelNames: ['operation'],
+    registers: [registry]
+  });
+
+  const challengeDuration = new client.Histogram({
+    name: 'meetcode_socket_challenge_duration_seconds',
+    help: 'Time from challenge start to end',
+    buckets: [60, 5 * 60, 10 * 60, 15 * 60, 30 * 60, 45 * 60, 60 * 60, 90 * 60],
+    registers: [registry]
+  });
+
+  return {
+    registry,
+    matchesFormed,
+    messagesReceived,
+    broadcastsSent,
+    broadcastFanout,
+    challengeDuration,
+    // Hook for createBackendClient({ onRequest })
+    observeBackendRequest({ operation, durationMs, error }) {
+      backendRequestDuration.observe({ operation }, durationMs / 1000);
+      if (error) {
+        backendRequestErrors.inc({ operation });
+      }
+    }
+  };
+}
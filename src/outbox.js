@@ -0,0 +1,166 @@
+import { randomUUID } from 'crypto';
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { systemClock } from './clock.js';
+
+// Durable queue of backend mutations that must eventually succeed. Entries are
+// written to disk before the first attempt and only dropped once `send`
+// resolves, so they survive restarts and are replayed until acknowledged.
+// Failures that retrying cannot fix (see isPermanentFailure) dead-letter the
+// entry instead: it stays in the file with `deadAt` and `error` for an operator
+// to look at, but is never sent again.
+//
+//   send(entry)              -> Promise<result>  throws to keep the entry queued
+//   onDelivered(entry, result)                  called once per acknowledged entry
+//   onDeadLetter(entry, err)                    called once per dead-lettered entry
+export function createOutbox({
+  filePath,
+  send,
+  onDelivered = () => {},
+  onDeadLetter = () => {},
+  isPermanentFailure = (err) => err.retryable === false, // Set by BackendError for GraphQL and 4xx errors
+
+  retryDelay = 1000,
+  maxRetryDelay = 5 * 60 * 1000,
+  clock = systemClock,
+  logger = console
+}) {
+  const entries = new Map();
+  const deadLetters = new Map();
+  const inFlight = new Map(); // id -> promise of the attempt being made
+  const retryTimers = new Map();
+  let writeQueue = Promise.resolve();
+
+  const flush = () => {
+    if (!filePath) return writeQueue;
+    writeQueue = writeQueue
+      .then(async () => {
+        const tmpPath = `${filePath}.tmp`;
+        await mkdir(dirname(filePath), { recursive: true });
+        await writeFile(tmpPath, JSON.stringify([...entries.values(), ...deadLetters.values()]));
+        await rename(tmpPath, filePath);
+      })
+      .catch((err) => {
+        logger.error(`❌ Failed to write outbox ${filePath}:`, err);
+      });
+    return writeQueue;
+  };
+
+  const scheduleRetry = (entry) => {
+    const delay = Math.min(maxRetryDelay, retryDelay * 2 ** (entry.attempts - 1));
+    logger.warn(`📮 Outbox entry ${entry.id} (${entry.kind} ${entry.cid}) will be retried in ${delay}ms`);
+    retryTimers.set(entry.id, clock.setTimeout(() => {
+      retryTimers.delete(entry.id);
+      deliver(entry.id);
+    }, delay));
+  };
+
+  // A throwing callback must not change what happened to the entry
+  const notify = (callback, ...args) => {
+    try {
+      callback(...args);
+    } catch (err) {
+      logger.error('❌ Outbox callback failed:', err);
+    }
+  };
+
+  async function attemptDelivery(entry) {
+    const { id } = entry;
+    entry.attempts++;
+    let result;
+    try {
+      result = await send(entry);
+    } catch (err) {
+      if (isPermanentFailure(err)) {
+        entries.delete(id);
+        deadLetters.set(id, { ...entry, deadAt: clock.now(), error: err.message });
+        logger.error(`❌ Outbox entry ${id} (${entry.kind} ${entry.cid}) failed for good, dead-lettered:`, err.message);
+        await flush();
+        notify(onDeadLetter, entry, err);
+        return;
+      }
+      logger.error(`❌ Outbox entry ${id} (${entry.kind} ${entry.cid}) failed:`, err.message);
+      await flush();
+      scheduleRetry(entry);
+      return;
+    }
+
+    entries.delete(id);
+    await flush();
+    logger.log(`📮 Outbox entry ${id} (${entry.kind} ${entry.cid}) delivered after ${entry.attempts} attempt(s)`);
+    notify(onDelivered, entry, result);
+  }
+
+  // Resolves once the attempt is over; an entry already being sent is not sent twice
+  function deliver(id) {
+    if (inFlight.has(id)) return inFlight.get(id);
+    const entry = entries.get(id);
+    if (!entry) return Promise.resolve();
+
+    const delivery = attemptDelivery(entry).finally(() => inFlight.delete(id));
+    inFlight.set(id, delivery);
+    return delivery;
+  }
+
+  return {
+    // Replay anything left over from a previous run
+    async start() {
+      if (!filePath) return;
+      try {
+        const stored = JSON.parse(await readFile(filePath, 'utf8'));
+        for (const entry of stored) {
+          (entry.deadAt ? deadLetters : entries).set(entry.id, entry);
+        }
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          logger.error(`❌ Failed to read outbox ${filePath}:`, err);
+        }
+      }
+      if (entries.size > 0) {
+        logger.log(`📮 Replaying ${entries.size} pending outbox entr${entries.size === 1 ? 'y' : 'ies'}`);
+      }
+      for (const id of entries.keys()) {
+        deliver(id);
+      }
+    },
+
+    // Queue a mutation and start delivering it. Resolves once the entry is on
+    // disk; delivery and its retries carry on in the background.
+    async enqueue(kind, cid, variables) {
+      const entry = { id: randomUUID(), kind, cid, variables, attempts: 0, createdAt: clock.now() };
+      entries.set(entry.id, entry);
+      await flush();
+      deliver(entry.id);
+      return entry.id;
+    },
+
+    pending() {
+      return Array.from(entries.values());
+    },
+
+    deadLetters() {
+      return Array.from(deadLetters.values());
+    },
+
+    // Attempt every queued entry now instead of waiting for its retry, e.g.
+    // before shutting down. Deliveries already under way are waited for
+    // first. Resolves with the number still pending.
+    async drain() {
+      await Promise.all(inFlight.values());
+      for (const timer of retryTimers.values()) {
+        clock.clearTimeout(timer);
+      }
+      retryTimers.clear();
+      await Promise.all(Array.from(entries.keys(), (id) => deliver(id)));
+      await writeQueue;
+      return entries.size;
+    },
+
+    stop() {
+      for (const timer of retryTimers.values()) {
+        clock.clearTimeout(timer);
+      }
+      retryTimers.clear();
+    }
+  };
+}
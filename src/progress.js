@@ -0,0 +1,41 @@
+// Per-player progress through a challenge, for race graphs. Each player keeps a
+// series of points { at, testsPassed, runs, submissions }, one per verified
+// test run or submission, where `runs` and `submissions` count up from 0.
+// A series that grows past `maxPoints` is thinned out to half as many.
+
+export const PROGRESS_CONFIG = Object.freeze({
+  snapshotPoints: Number(process.env.PROGRESS_SNAPSHOT_POINTS) || 60, // Most points per player in lobbyState
+  maxPoints: Number(process.env.PROGRESS_MAX_POINTS) || 500 // Most points kept per player
+});
+
+// At most `maxPoints` evenly spread points, always including the first and last
+function thinOut(series, maxPoints) {
+  if (series.length <= maxPoints) return series;
+  const step = (series.length - 1) / Math.max(1, maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, i) => series[Math.round(i * step)]);
+}
+
+// Append a point for a verified `kind` ('run' or 'submission') and return it
+export function recordProgress(playerData, { at, kind, testsPassed }, maxPoints = PROGRESS_CONFIG.maxPoints) {
+  const last = playerData.progress?.[playerData.progress.length - 1];
+  const point = {
+    at,
+    testsPassed,
+    runs: (last?.runs || 0) + (kind === 'run' ? 1 : 0),
+    submissions: (last?.submissions || 0) + (kind === 'submission' ? 1 : 0)
+  };
+  appendProgress(playerData, point, maxPoints);
+  return point;
+}
+
+// Add a point recorded elsewhere, e.g. on another node
+export function appendProgress(playerData, point, maxPoints = PROGRESS_CONFIG.maxPoints) {
+  const series = [...(playerData.progress || []), point];
+  playerData.progress = series.length > maxPoints ? thinOut(series, Math.ceil(maxPoints / 2)) : series;
+}
+
+// Series as [at, testsPassed, runs, submissions] tuples, thinned out to at most
+// `maxPoints` points
+export function compactProgress(series = [], maxPoints = PROGRESS_CONFIG.snapshotPoints) {
+  return thinOut(series, maxPoints).map(({ at, testsPassed, runs, submissions }) => [at, testsPassed, runs, submissions]);
+}
@@ -0,0 +1,198 @@
+// Wire protocol shared by the server and the client SDK (src/client.js).
+// Every message is a JSON object with a `type`. This module has no Node
+// dependencies so browsers can import it too.
+//
+// Versioning: a client opens with { type: 'hello', protocolVersion, minProtocolVersion? }
+// and the server answers `welcome` with the version both sides will speak, or
+// an UNSUPPORTED_PROTOCOL error and close code 4002. Clients that skip the
+// handshake are served PROTOCOL_VERSION.
+
+export const PROTOCOL_VERSION = 1;
+export const MIN_PROTOCOL_VERSION = 1;
+
+export const CLOSE_CODES = Object.freeze({
+  AUTH_FAILED: 4001,
+  UNSUPPORTED_PROTOCOL: 4002,
+  KICKED: 4003,
+  SERVER_SHUTTING_DOWN: 1012 // "Service Restart": reconnect, possibly to another instance
+});
+
+// Codes carried by `error` messages
+export const ERROR_CODES = Object.freeze({
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  MISSING_FIELD: 'MISSING_FIELD',
+  INVALID_FIELD: 'INVALID_FIELD',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  UNSUPPORTED_PROTOCOL: 'UNSUPPORTED_PROTOCOL',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+  // Refusals of a well-formed request, sent with the request's type
+  CHAT_MUTED: 'CHAT_MUTED',
+  EMPTY_MESSAGE: 'EMPTY_MESSAGE',
+  MESSAGE_TOO_LONG: 'MESSAGE_TOO_LONG',
+  MESSAGE_BLOCKED: 'MESSAGE_BLOCKED',
+  SHUTTING_DOWN: 'SHUTTING_DOWN',
+  TOKEN_BOUND: 'TOKEN_BOUND',
+  ALREADY_IN_LOBBY: 'ALREADY_IN_LOBBY',
+  ALREADY_QUEUED: 'ALREADY_QUEUED',
+  NOT_FOUND: 'NOT_FOUND',
+  NOT_HOST: 'NOT_HOST',
+  ALREADY_STARTED: 'ALREADY_STARTED',
+  UNKNOWN_PLAYER: 'UNKNOWN_PLAYER',
+  COUNTDOWN_RUNNING: 'COUNTDOWN_RUNNING',
+  NOT_ENDED: 'NOT_ENDED',
+  TOURNAMENT_MATCH: 'TOURNAMENT_MATCH',
+  VOTE_CLOSED: 'VOTE_CLOSED',
+  NO_VOTE: 'NO_VOTE',
+  FORBIDDEN: 'FORBIDDEN',
+  INVALID_SPEED: 'INVALID_SPEED'
+});
+
+// Inbound (client -> server) messages. Field rules: type ('string' | 'integer'
+// | 'number'), required, maxLength, min and max. `max` may be a function of the
+// lobby limits ({ totalTests }). `cid` may be left out when the token is bound to a lobby.
+const cid = { type: 'string', maxLength: 128 };
+const username = { type: 'string', maxLength: 64 };
+const submissionRef = {
+  submissionId: { type: 'string', maxLength: 128 },
+  codeHash: { type: 'string', maxLength: 128 }
+};
+const testsPassed = { type: 'integer', min: 0, max: (limits) => limits.totalTests };
+
+export const CLIENT_MESSAGES = Object.freeze({
+  hello: {
+    protocolVersion: { type: 'integer', required: true, min: 1 }, // Newest version the client speaks
+    minProtocolVersion: { type: 'integer', min: 1 } // Oldest version it still accepts
+  },
+  auth: { token: { type: 'string', required: true, maxLength: 4096 } },
+  join: { cid, username },
+  resume: { cid, username, lastSequence: { type: 'integer', min: 0 } }, // Without it the client gets a snapshot
+  spectate: { cid, username },
+  ready: { cid, username },
+  codeRunning: { cid, username },
+  codeFinished: { cid, username },
+  testResults: { cid, username, ...submissionRef, testsPassed },
+  codeSubmitted: { cid, username, ...submissionRef, testsPassed, submittedResults: { type: 'number', min: 0 } },
+  endChallenge: { cid, username },
+  endChallengeForUser: { cid, username },
+  chatMessage: { cid, username, text: { type: 'string', required: true } },
+  // Lobby host controls, only while the lobby is waiting. `target` is another player.
+  kickPlayer: { cid, target: { ...username, required: true }, reason: { type: 'string', maxLength: 200 } },
+  transferHost: { cid, target: { ...username, required: true } },
+  lockLobby: { cid, locked: { type: 'boolean', required: true } }, // Locked lobbies only take back their own players
+  setMinReady: { cid, minReady: { type: 'integer', required: true, min: 0 } }, // 0 turns it off
+  forceStart: { cid },
+  // Post-game rematch vote: the first request opens it, later ones accept
+  requestRematch: { cid, newProblem: { type: 'boolean' } }, // newProblem: let the backend pick another problem
+  declineRematch: { cid },
+  // Matchmaking, no `cid` needed. Leaving difficulty or language out accepts any.
+  queue: { difficulty: { type: 'string', maxLength: 32 }, language: { type: 'string', maxLength: 32 } },
+  leaveQueue: {},
+  // Standings of a tournament the user does not play in (players get them anyway)
+  watchTournament: { tournamentId: { type: 'string', required: true, maxLength: 128 } },
+  // Replay of a finished challenge's broadcasts, for its players and admins
+  replay: { cid: { ...cid, required: true }, speed: { type: 'integer', min: 1 } }, // speed: 1, 4 or 16 (default 1)
+  stopReplay: {}
+});
+
+// Outbound (server -> client) messages and their fields. Lobby events also
+// carry a `sequence` (see eventBuffer.js); `player` is a PlayerSummary unless noted.
+export const SERVER_MESSAGES = Object.freeze({
+  // Connection
+  welcome: ['protocolVersion', 'serverVersion'],
+  authenticated: ['username', 'cid'],
+  authError: ['message'],
+  error: ['code', 'message', 'field', 'requestType'],
+  // Sockets are closed with SERVER_SHUTTING_DOWN by `closesAt`. `resumable` tells
+  // whether lobbies are kept for a reconnect, `retryAfter` (ms) when to try.
+  serverShuttingDown: ['reason', 'closesAt', 'resumable', 'retryAfter'],
+
+  // Lobby membership
+  lobbyState: ['players', 'status', 'timer', 'config', 'sequence', 'spectatorCount', 'chat', 'chatMuted', 'host', 'locked', 'minReady', 'countdown', 'finalScores', 'progress'], // progress: { [username]: [[at, testsPassed, runs, submissions]] }
+  joinError: ['message'],
+  resumed: ['sequence', 'snapshot', 'replayed'],
+  playerJoined: ['player'],
+  playerReadyToggle: ['player'],
+  playerDisconnected: ['player', 'temporary', 'gracePeriod'], // player: { username, cid }
+  playerReconnected: ['player'], // player: { username, cid }
+  playerLeft: ['player', 'permanent'], // player: { username, cid }
+  playerKicked: ['player', 'reason'], // player: { username, cid }
+  kicked: ['reason'],
+  lobbyClosed: ['reason'],
+
+  // Lobby host
+  hostChanged: ['host', 'reason'],
+  lobbySettingsChanged: ['locked', 'minReady'],
+  countdownStarted: ['endsAt', 'duration', 'reason'], // The challenge starts at endsAt
+  countdownCancelled: ['reason'],
+
+  // Spectators
+  spectateError: ['message'],
+  spectatorError: ['message'],
+  spectatorCount: ['count'],
+
+  // Challenge progress
+  challengeStarted: ['data'],
+  timerStarted: ['startTime', 'endTime', 'duration', 'totalTests'],
+  timerUpdate: ['remainingTime'], // Not sequenced or replayed
+  timerPaused: ['remainingTime', 'pausedAt', 'reason'],
+  timerResumed: ['endTime', 'remainingTime', 'reason'],
+  timerExtended: ['extendedBy', 'endTime', 'remainingTime', 'paused', 'reason'],
+  playerCodeRunning: ['player'], // player: { username, cid, running }
+  playerCodeFinished: ['player'], // player: { username, cid, running }
+  playerTestResults: ['player', 'point'], // player: { username, cid, testsPassed }, point: see progress.js
+  playerCodeSubmitted: ['player', 'point'], // player: { username, cid, submitted, submittedResults, submittedTestsPassed }
+  submissionRejected: ['code', 'message', 'submissionId', 'codeHash'],
+  canEndChallenge: ['player'], // player: { username, cid }
+  cannotEndYet: ['message'],
+  challengeEndedForUser: ['message', 'finalScore', 'testsPassed'],
+  playerCompletedAndLeft: ['player'], // player: { username, cid, finalScore, testsPassed, reason }
+  challengeEnded: ['reason', 'finalScores', 'progress'], // finalScores: [{ username, score, rank, rawScore, bonus, penalty, finishTime, oldRating, newRating }], progress: [{ username, points }]
+  challengeEndedConfirmed: ['data'],
+
+  // Rematch
+  rematchVote: ['requestedBy', 'newProblem', 'accepted', 'declined', 'waitingFor', 'expiresAt'],
+  rematchReady: ['cid', 'previousCid', 'players'], // Only to the players who accepted; join `cid`
+  rematchCancelled: ['reason'],
+
+  // Chat and announcements
+  chatMessage: ['message'], // message: { id, username, text, spectator, sentAt }
+  systemAnnouncement: ['text', 'sentAt'],
+
+  // Matchmaking
+  queueStatus: ['position', 'queueSize', 'band', 'waited', 'estimatedWait'], // Sent on queueing and every MATCH_INTERVAL_MS
+  queueLeft: ['reason'],
+  matchFound: ['cid', 'players', 'difficulty', 'language'], // players: usernames
+
+  // Tournaments, see tournament.js
+  tournamentStandings: ['tournamentId', 'name', 'format', 'status', 'round', 'totalRounds', 'standings', 'matches'],
+  tournamentMatch: ['tournamentId', 'round', 'cid', 'players'],
+  tournamentBye: ['tournamentId', 'round'],
+
+  // Replays, see eventLog.js. The original messages come in between, without sequences.
+  replayStarted: ['cid', 'speed', 'events', 'duration'], // duration: ms from first to last event at this speed
+  replayFinished: ['cid']
+});
+
+// Pick the version to speak with a client, or null if there is no overlap
+export function negotiateProtocolVersion({ protocolVersion, minProtocolVersion = protocolVersion }) {
+  const version = Math.min(protocolVersion, PROTOCOL_VERSION);
+  if (version < MIN_PROTOCOL_VERSION || version < minProtocolVersion) return null;
+  return version;
+}
+
+// The one shape used for a player in lobbyState, playerJoined and playerReadyToggle
+export function playerSummary(username, cid, playerData) {
+  return {
+    username,
+    cid,
+    ready: playerData.ready || false,
+    running: playerData.running || false,
+    testsPassed: playerData.testsPassed || 0,
+    submitted: playerData.submitted || false,
+    submittedResults: playerData.submittedResults || 0,
+    submittedTestsPassed: playerData.submittedTestsPassed || 0
+  };
+}
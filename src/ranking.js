@@ -0,0 +1,57 @@
+// Final ranking of a challenge. A player's score is their raw (judge) score,
+// plus a bonus for completing every test early, minus a penalty per
+// submission that did not pass every test. Equal scores are split by who got
+// their score first; players still level after that share a rank.
+
+export const RANKING_CONFIG = Object.freeze({
+  timeBonus: Number(process.env.RANKING_TIME_BONUS) || 0, // Points for completing at the very start, scaled down to 0 at the end
+  wrongSubmissionPenalty: Number(process.env.RANKING_WRONG_SUBMISSION_PENALTY) || 0, // Points per failing submission
+  // "submissionTime" breaks equal scores by earliest accepted submission, "none" lets them share a rank
+  tieBreak: process.env.RANKING_TIE_BREAK === 'none' ? 'none' : 'submissionTime'
+});
+
+// Players: [{ username, rawScore, testsPassed, submittedAt, completedAt, wrongSubmissions }]
+// where submittedAt is when the player's current score was first accepted and
+// completedAt when they finished early (if they did). Returns
+// [{ username, score, rank, rawScore, bonus, penalty, finishTime }], best first.
+export function rankPlayers(players, { startTime, duration, totalTests, policy = RANKING_CONFIG }) {
+  const { timeBonus = 0, wrongSubmissionPenalty = 0, tieBreak = 'submissionTime' } = policy;
+
+  const entries = players.map((player) => {
+    const finishedAt = player.completedAt ?? player.submittedAt ?? null;
+    const finishTime = finishedAt === null ? null : Math.max(0, finishedAt - startTime);
+
+    const completed = player.testsPassed === totalTests && finishTime !== null;
+    const bonus = completed && timeBonus > 0
+      ? Math.round(timeBonus * Math.max(0, 1 - finishTime / duration))
+      : 0;
+    const penalty = (player.wrongSubmissions || 0) * wrongSubmissionPenalty;
+
+    return {
+      username: player.username,
+      score: Math.max(0, player.rawScore + bonus - penalty),
+      rawScore: player.rawScore,
+      bonus,
+      penalty,
+      finishTime,
+      submittedAt: player.submittedAt ?? null
+    };
+  });
+
+  // Players without an accepted submission come after everyone who has one
+  const submissionOrder = (a, b) => {
+    if (tieBreak === 'none' || a.submittedAt === b.submittedAt) return 0;
+    if (a.submittedAt === null) return 1;
+    if (b.submittedAt === null) return -1;
+    return a.submittedAt - b.submittedAt;
+  };
+  const compare = (a, b) => b.score - a.score || submissionOrder(a, b);
+
+  entries.sort(compare);
+
+  return entries.map(({ submittedAt, ...entry }, index) => {
+    const previous = entries[index - 1];
+    entries[index].rank = previous && compare(previous, entries[index]) === 0 ? previous.rank : index + 1;
+    return { ...entry, rank: entries[index].rank };
+  });
+}
@@ -0,0 +1,36 @@
+// Multi-player Elo. Every pair of players in a finished challenge counts as one
+// game: the better-ranked player wins and equal ranks draw. A player's change
+// is the sum over their opponents scaled by K / (N - 1), so a win in a big
+// lobby moves a rating about as much as a win in a duel.
+
+export const RATING_CONFIG = Object.freeze({
+  defaultRating: Number(process.env.RATING_DEFAULT) || 1200, // For players the backend has no rating for
+  kFactor: Number(process.env.RATING_K_FACTOR) || 32 // Largest change one challenge can make
+});
+
+// Chance that a player rated `rating` beats one rated `opponentRating`
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+// [{ username, rank, rating }] -> [{ username, oldRating, newRating, delta }], in the same order
+export function computeRatingChanges(standings, { kFactor = RATING_CONFIG.kFactor } = {}) {
+  const scale = standings.length > 1 ? kFactor / (standings.length - 1) : 0;
+
+  return standings.map((player) => {
+    let total = 0;
+    for (const opponent of standings) {
+      if (opponent === player) continue;
+      const actual = player.rank < opponent.rank ? 1 : player.rank === opponent.rank ? 0.5 : 0;
+      total += actual - expectedScore(player.rating, opponent.rating);
+    }
+
+    const delta = Math.round(scale * total);
+    return {
+      username: player.username,
+      oldRating: player.rating,
+      newRating: player.rating + delta,
+      delta
+    };
+  });
+}
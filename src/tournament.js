@@ -0,0 +1,233 @@
+// Tournament model: players, rounds of two-player matches and standings. The
+// server creates a lobby per match and feeds results back in; this module only
+// decides pairings and keeps score.
+//
+// Formats:
+//   swiss     every round pairs players with similar points who have not met
+//             yet; a fixed number of rounds is played
+//   knockout  losers are eliminated and the bracket halves every round until
+//             one player is left
+// With an odd number of players, one player gets a bye: a free win. A player
+// who never gets ready before the match deadline, or never shows up, loses
+// their match as a no-show.
+
+export const TOURNAMENT_CONFIG = Object.freeze({
+  noShowTimeout: Number(process.env.TOURNAMENT_NO_SHOW_MS) || 2 * 60 * 1000, // Time to get ready for a match
+  roundDelay: Number(process.env.TOURNAMENT_ROUND_DELAY_MS) || 60 * 1000, // Break between rounds
+  maxRetries: Number(process.env.TOURNAMENT_MAX_RETRIES) || 5 // Attempts at creating or forfeiting a match before giving up
+});
+
+export const TOURNAMENT_FORMATS = ['swiss', 'knockout'];
+
+const POINTS = { win: 1, draw: 0.5, loss: 0, noShow: 0 };
+
+// players: [{ username, rating }], seeded by rating (best first)
+export function createTournament({ id, name, format = 'swiss', players, rounds = null, difficulty = null, language = null }) {
+  if (!TOURNAMENT_FORMATS.includes(format)) {
+    throw new Error(`Unknown tournament format "${format}"`);
+  }
+  if (players.length < 2) {
+    throw new Error('A tournament needs at least 2 players');
+  }
+
+  const seeded = [...players].sort((a, b) => b.rating - a.rating);
+  const minimumRounds = Math.ceil(Math.log2(players.length));
+
+  return {
+    id,
+    name,
+    format,
+    difficulty,
+    language,
+    totalRounds: format === 'knockout' ? minimumRounds : rounds || minimumRounds,
+    round: 0,
+    status: 'running',
+    players: new Map(seeded.map(({ username, rating }, index) => [username, {
+      username,
+      rating,
+      seed: index + 1,
+      points: 0,
+      wins: 0,
+      draws: 0,
+      losses: 0,
+      byes: 0,
+      noShows: 0,
+      eliminatedInRound: null,
+      opponents: []
+    }])),
+    matches: [] // { id, round, players, cid, status: 'pending' | 'playing' | 'finished', results }
+  };
+}
+
+function recordOutcome(tournament, username, outcome) {
+  const player = tournament.players.get(username);
+  player.points += POINTS[outcome];
+  if (outcome === 'win') player.wins++;
+  if (outcome === 'draw') player.draws++;
+  if (outcome === 'loss') player.losses++;
+  if (outcome === 'noShow') player.noShows++;
+  if (tournament.format === 'knockout' && (outcome === 'loss' || outcome === 'noShow')) {
+    player.eliminatedInRound = tournament.round;
+  }
+}
+
+function swissOrder(a, b) {
+  return b.points - a.points || a.seed - b.seed;
+}
+
+// Start the next round: returns the new matches and the players with a bye
+export function pairNextRound(tournament) {
+  tournament.round++;
+
+  let pool = [...tournament.players.values()].filter((player) => player.eliminatedInRound === null);
+  pool.sort(tournament.format === 'swiss' ? swissOrder : (a, b) => a.seed - b.seed);
+
+  // The bye goes to the lowest-placed player who has not had one yet
+  const byes = [];
+  if (pool.length % 2 === 1) {
+    const bye = [...pool].reverse().find((player) => player.byes === 0) || pool[pool.length - 1];
+    pool = pool.filter((player) => player !== bye);
+    bye.byes++;
+    bye.wins++;
+    bye.points += POINTS.win;
+    byes.push(bye.username);
+  }
+
+  const pairs = [];
+  if (tournament.format === 'knockout') {
+    // Best remaining seed meets the worst
+    while (pool.length) {
+      pairs.push([pool.shift(), pool.pop()]);
+    }
+  } else {
+    // Next player on the table they have not met yet, if there is one
+    while (pool.length) {
+      const player = pool.shift();
+      const index = pool.findIndex((other) => !player.opponents.includes(other.username));
+      const [opponent] = pool.splice(index === -1 ? 0 : index, 1);
+      pairs.push([player, opponent]);
+    }
+  }
+
+  const matches = pairs.map(([a, b]) => {
+    a.opponents.push(b.username);
+    b.opponents.push(a.username);
+    const match = {
+      id: `${tournament.id}-r${tournament.round}-m${tournament.matches.length + 1}`,
+      round: tournament.round,
+      players: [a.username, b.username],
+      cid: null,
+      status: 'pending',
+      results: null
+    };
+    tournament.matches.push(match);
+    return match;
+  });
+
+  return { matches, byes };
+}
+
+// Score a match. `ranks` maps the players who played to their challenge rank;
+// anyone in `noShows` or missing from `ranks` did not show up. In knockout,
+// a draw goes to the better seed.
+export function recordMatchResult(tournament, match, { ranks = {}, noShows = [] }) {
+  if (match.status === 'finished') return false;
+
+  const played = match.players.filter((username) => ranks[username] !== undefined && !noShows.includes(username));
+  const results = {};
+  for (const username of match.players) {
+    if (!played.includes(username)) results[username] = 'noShow';
+  }
+
+  if (played.length === 1) {
+    results[played[0]] = 'win';
+  } else if (played.length === 2) {
+    const [a, b] = played;
+    if (ranks[a] === ranks[b]) {
+      if (tournament.format === 'knockout') {
+        const [better, worse] = tournament.players.get(a).seed < tournament.players.get(b).seed ? [a, b] : [b, a];
+        results[better] = 'win';
+        results[worse] = 'loss';
+      } else {
+        results[a] = 'draw';
+        results[b] = 'draw';
+      }
+    } else {
+      results[a] = ranks[a] < ranks[b] ? 'win' : 'loss';
+      results[b] = ranks[b] < ranks[a] ? 'win' : 'loss';
+    }
+  }
+
+  for (const [username, outcome] of Object.entries(results)) {
+    recordOutcome(tournament, username, outcome);
+  }
+  match.status = 'finished';
+  match.results = results;
+
+  if (isRoundComplete(tournament) && isTournamentOver(tournament)) {
+    tournament.status = 'finished';
+  }
+  return true;
+}
+
+export function isRoundComplete(tournament) {
+  return tournament.matches.every((match) => match.round !== tournament.round || match.status === 'finished');
+}
+
+function isTournamentOver(tournament) {
+  if (tournament.format === 'knockout') {
+    const remaining = [...tournament.players.values()].filter((player) => player.eliminatedInRound === null);
+    return remaining.length <= 1;
+  }
+  return tournament.round >= tournament.totalRounds;
+}
+
+// Points, then fewer no-shows, then the opponents' points (Buchholz), then
+// seed. In knockout, whoever went out last ranks higher to begin with.
+export function getStandings(tournament) {
+  const players = [...tournament.players.values()];
+  const buchholz = (player) => player.opponents.reduce((sum, username) => sum + tournament.players.get(username).points, 0);
+  const outIn = (player) => player.eliminatedInRound ?? Infinity;
+
+  players.sort((a, b) => (tournament.format === 'knockout' ? outIn(b) - outIn(a) : 0)
+    || b.points - a.points
+    || a.noShows - b.noShows
+    || buchholz(b) - buchholz(a)
+    || a.seed - b.seed);
+
+  return players.map((player, index) => ({
+    rank: index + 1,
+    username: player.username,
+    seed: player.seed,
+    points: player.points,
+    wins: player.wins,
+    draws: player.draws,
+    losses: player.losses,
+    byes: player.byes,
+    noShows: player.noShows,
+    eliminated: player.eliminatedInRound !== null
+  }));
+}
+
+// Plain summary for events and the admin API
+export function describeTournament(tournament) {
+  return {
+    tournamentId: tournament.id,
+    name: tournament.name,
+    format: tournament.format,
+    status: tournament.status,
+    round: tournament.round,
+    totalRounds: tournament.totalRounds,
+    standings: getStandings(tournament),
+    matches: tournament.matches.map(({ id, round, players, cid, status, results }) => ({ id, round, players, cid, status, results }))
+  };
+}
+
+// Plain data for the lobby store, and back. Matches stay plain objects.
+export function serializeTournament(tournament) {
+  return { ...tournament, players: Array.from(tournament.players.entries()) };
+}
+
+export function deserializeTournament(snapshot) {
+  return { ...snapshot, players: new Map(snapshot.players) };
+}
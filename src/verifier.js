@@ -0,0 +1,56 @@
+import { GET_SUBMISSION_QUERY } from './backendClient.js';
+
+// A verifier takes a submission reference sent by a client and resolves the
+// authoritative result from the judge. It returns either
+//   { verified: true, testsPassed, score }
+// or
+//   { verified: false, code, reason }
+// Any object with an async `verify(reference)` method can be plugged in.
+
+// Verify submissions against the backend GraphQL API
+export function createBackendVerifier({ backend, logger = console }) {
+  return {
+    async verify({ cid, username, submissionId, codeHash }) {
+      let data;
+      try {
+        data = await backend.request(GET_SUBMISSION_QUERY, {
+          cid,
+          username,
+          submissionId: submissionId ?? null,
+          codeHash: codeHash ?? null
+        });
+      } catch (err) {
+        logger.error(`❌ Failed to verify submission for "${username}" in ${cid}:`, err);
+        return { verified: false, code: 'VERIFIER_UNAVAILABLE', reason: 'Could not verify submission with the judge' };
+      }
+
+      const submission = data?.getSubmission;
+      if (!submission) {
+        return { verified: false, code: 'SUBMISSION_NOT_FOUND', reason: 'Submission not found' };
+      }
+
+      // The judge must agree on who submitted and for which challenge
+      if (submission.cid !== cid || submission.username !== username) {
+        return { verified: false, code: 'SUBMISSION_NOT_OWNED', reason: 'Submission does not belong to you in this challenge' };
+      }
+
+      return {
+        verified: true,
+        submissionId: submission.submissionId,
+        testsPassed: submission.testsPassed,
+        score: submission.score
+      };
+    }
+  };
+}
+
+// Check a client's claimed numbers (if any) against the verified result
+export function findResultMismatch(claimed, result) {
+  if (claimed.testsPassed !== undefined && claimed.testsPassed !== result.testsPassed) {
+    return `Reported ${claimed.testsPassed} tests passed, judge reports ${result.testsPassed}`;
+  }
+  if (claimed.submittedResults !== undefined && claimed.submittedResults !== result.score) {
+    return `Reported score ${claimed.submittedResults}, judge reports ${result.score}`;
+  }
+  return null;
+}
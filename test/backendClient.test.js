@@ -0,0 +1,34 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBackendClient } from '../src/backendClient.js';
+import { createFakeClock } from './helpers/fakeClock.js';
+import { waitUntil } from './helpers/testServer.js';
+
+describe('backend client', () => {
+  test('waits out retries on the injected clock and logs them through the injected logger', async () => {
+    const clock = createFakeClock();
+    const warnings = [];
+    let calls = 0;
+    const backend = createBackendClient({
+      backendUrl: 'http://backend.invalid/graphql',
+      retryDelay: 500,
+      clock,
+      logger: { log() {}, warn: (message) => warnings.push(message), error() {} },
+      fetch: async () => {
+        calls++;
+        return calls === 1
+          ? new Response('', { status: 503 })
+          : Response.json({ data: { __typename: 'Query' } });
+      }
+    });
+
+    const request = backend.request('query Ping { __typename }');
+    await waitUntil(() => warnings.length === 1);
+    assert.match(warnings[0], /HTTP 503, retrying in 500ms \(1\/3\)/);
+    assert.equal(calls, 1);
+
+    await clock.advance(500);
+    assert.deepEqual(await request, { __typename: 'Query' });
+    assert.equal(calls, 2);
+  });
+});
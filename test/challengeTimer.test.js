@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createTimer,
+  getRemainingTime,
+  isTimerExpired,
+  pauseTimer,
+  resumeTimer,
+  extendTimer,
+  serializeTimer
+} from '../src/challengeTimer.js';
+
+test('a running timer counts down to its end time', () => {
+  const timer = createTimer(1000, 60000);
+  assert.equal(getRemainingTime(timer, 31000), 30000);
+  assert.equal(isTimerExpired(timer, 60999), false);
+  assert.equal(isTimerExpired(timer, 61000), true);
+  assert.equal(getRemainingTime(timer, 90000), 0);
+});
+
+test('pausing freezes the remaining time until resumed', () => {
+  const timer = createTimer(0, 60000);
+  assert.equal(pauseTimer(timer, 20000), true);
+  assert.equal(pauseTimer(timer, 25000), false);
+  assert.equal(getRemainingTime(timer, 100000), 40000);
+  assert.equal(isTimerExpired(timer, 100000), false);
+
+  assert.equal(resumeTimer(timer, 100000), true);
+  assert.equal(resumeTimer(timer, 100000), false);
+  assert.equal(timer.endTime, 140000);
+  assert.equal(getRemainingTime(timer, 110000), 30000);
+});
+
+test('extending adds to whichever clock is running', () => {
+  const running = createTimer(0, 60000);
+  assert.equal(extendTimer(running, 5000), true);
+  assert.equal(running.endTime, 65000);
+  assert.equal(extendTimer(running, 0), false);
+
+  const paused = createTimer(0, 60000);
+  pauseTimer(paused, 10000);
+  extendTimer(paused, 5000);
+  assert.equal(getRemainingTime(paused, 10000), 55000);
+  assert.deepEqual(serializeTimer(paused), { startTime: 0, endTime: 60000, pausedAt: 10000, remainingTime: 55000 });
+});
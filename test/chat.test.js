@@ -0,0 +1,56 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from '../src/chat.js';
+import { startFakeBackend } from './helpers/fakeBackend.js';
+import { startTestServer } from './helpers/testServer.js';
+import { createFakeClock } from './helpers/fakeClock.js';
+
+describe('chat rate limiter', () => {
+  test('keys are dropped once their window is empty', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ limit: 2, windowMs: 1000, clock });
+    assert.equal(limiter.allow('c1:alice'), true);
+    assert.equal(limiter.allow('c1:alice'), true);
+    assert.equal(limiter.allow('c1:alice'), false);
+    limiter.allow('c2:bob');
+
+    await clock.advance(1000);
+    assert.equal(limiter.allow('c1:alice'), true);
+    limiter.prune();
+    assert.equal(limiter.size, 1);
+    limiter.forget('c1:alice');
+    assert.equal(limiter.size, 0);
+  });
+});
+
+describe('lobby chat', () => {
+  let backend;
+  let ctx;
+
+  beforeEach(async () => {
+    backend = await startFakeBackend({ challenges: { c1: { participants: ['alice', 'bob'] } } });
+    ctx = await startTestServer({ backend });
+  });
+
+  afterEach(async () => {
+    await ctx.server.stop();
+    await backend.close();
+  });
+
+  test('players are rate limited until their window on the server clock passes', async () => {
+    const alice = await ctx.connect('alice');
+    alice.send({ type: 'join', cid: 'c1' });
+    await alice.next('lobbyState');
+
+    for (let i = 0; i < 5; i++) {
+      alice.send({ type: 'chatMessage', cid: 'c1', text: `hello ${i}` });
+      assert.equal((await alice.next('chatMessage')).message.sentAt, ctx.clock.now());
+    }
+    alice.send({ type: 'chatMessage', cid: 'c1', text: 'one too many' });
+    assert.equal((await alice.next('error')).code, 'RATE_LIMITED');
+
+    await ctx.clock.advance(10 * 1000);
+    alice.send({ type: 'chatMessage', cid: 'c1', text: 'back again' });
+    assert.equal((await alice.next('chatMessage')).message.text, 'back again');
+  });
+});
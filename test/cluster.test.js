@@ -0,0 +1,289 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInProcessAdapter, createInProcessHub, createRedisAdapter } from '../src/cluster.js';
+import { signToken } from '../src/auth.js';
+import { createFakeRedis } from './helpers/fakeRedis.js';
+import { startFakeBackend } from './helpers/fakeBackend.js';
+import { startTestServer, startChallenge, waitUntil, TEST_SECRET } from './helpers/testServer.js';
+
+describe('redis adapter', () => {
+  const nextTick = () => new Promise((resolve) => setImmediate(resolve));
+
+  test('relays messages between instances and hands locks to one owner at a time', async () => {
+    const redis = createFakeRedis();
+    const errors = [];
+    const logger = { log() {}, warn() {}, error: (...args) => errors.push(args) };
+    const first = createRedisAdapter({ publisher: redis.client(), subscriber: redis.client(), logger });
+    const second = createRedisAdapter({ publisher: redis.client(), subscriber: redis.client(), logger });
+
+    const received = [];
+    await second.subscribe('lobby:c1', (message) => received.push(message));
+    await first.publish('lobby:c1', { kind: 'event', n: 1 });
+    await nextTick();
+    assert.deepEqual(received, [{ kind: 'event', n: 1 }]);
+
+    assert.equal(await first.acquireLock('lobby:c1:timer', 'a', 10000), true);
+    assert.equal(await second.acquireLock('lobby:c1:timer', 'b', 10000), false);
+    assert.equal(await first.acquireLock('lobby:c1:timer', 'a', 10000), true);
+    assert.equal(await second.renewLock('lobby:c1:timer', 'b', 10000), false);
+    await second.releaseLock('lobby:c1:timer', 'b');
+    assert.equal(await first.renewLock('lobby:c1:timer', 'a', 10000), true);
+    await first.releaseLock('lobby:c1:timer', 'a');
+    assert.equal(await second.acquireLock('lobby:c1:timer', 'b', 10000), true);
+    assert.equal(redis.keys.get('meetcode:lobby:c1:timer').value, 'b');
+
+    assert.equal(await first.nextSequence('lobby:c1:sequence', 5), 6);
+    assert.equal(await second.nextSequence('lobby:c1:sequence'), 7);
+
+    // A failing handler is logged, not thrown into the subscriber connection
+    await second.subscribe('broken', () => {
+      throw new Error('boom');
+    });
+    await first.publish('broken', {});
+    await nextTick();
+    assert.equal(errors.length, 1);
+  });
+});
+
+describe('two nodes sharing a hub', () => {
+  let backend;
+  let nodes;
+
+  beforeEach(async () => {
+    backend = await startFakeBackend({
+      challenges: { c1: { participants: ['alice', 'bob'], totalTests: 4 } },
+      submissions: { 'alice-1': { cid: 'c1', username: 'alice', testsPassed: 2, score: 50 } }
+    });
+    const hub = createInProcessHub();
+    const first = await startTestServer({ backend, nodeId: 'node-a', cluster: createInProcessAdapter({ hub }) });
+    const second = await startTestServer({ backend, nodeId: 'node-b', cluster: createInProcessAdapter({ hub }), clock: first.clock });
+    nodes = { hub, first, second };
+  });
+
+  afterEach(async () => {
+    await nodes.first.server.stop();
+    await nodes.second.server.stop();
+    await backend.close();
+  });
+
+  test('players on different nodes see each other and the timer moves when its lock expires', async () => {
+    const { hub, first, second } = nodes;
+    const alice = await first.connect('alice');
+    alice.send({ type: 'join', cid: 'c1' });
+    await alice.next('lobbyState');
+    const bob = await second.connect('bob');
+    bob.send({ type: 'join', cid: 'c1' });
+    await bob.next('lobbyState');
+    assert.equal((await alice.next('playerJoined')).player.username, 'bob');
+
+    alice.send({ type: 'ready', cid: 'c1' });
+    await bob.next('playerReadyToggle', (message) => message.player.username === 'alice');
+    bob.send({ type: 'ready', cid: 'c1' });
+    const [{ duration }] = await Promise.all([alice.next('timerStarted'), bob.next('timerStarted')]);
+    assert.equal(backend.callsTo('StartChallenge').length, 1);
+
+    const owner = hub.locks.get('lobby:c1:timer').owner;
+    const [ownerNode, otherNode] = owner === first.server.nodeId ? [first, second] : [second, first];
+    const countdownAt = (elapsed) => (message) => message.remainingTime === duration - elapsed;
+    await first.clock.advance(1000);
+    await alice.next('timerUpdate', countdownAt(1000));
+    await bob.next('timerUpdate', countdownAt(1000));
+
+    // The owner misses its renewal: the other node claims the timer and keeps counting
+    hub.locks.delete('lobby:c1:timer');
+    await first.clock.advance(5000);
+    assert.equal(hub.locks.get('lobby:c1:timer').owner, otherNode.server.nodeId);
+    assert.equal(ownerNode.server.lobbies.get('c1').timer.intervalId, null);
+
+    await first.clock.advance(2000);
+    await alice.next('timerUpdate', countdownAt(8000));
+    await bob.next('timerUpdate', countdownAt(8000));
+  });
+
+  test('progress reaches the other node one point at a time', async () => {
+    const { hub, first, second } = nodes;
+    const syncs = [];
+    hub.emitter.on('lobby:c1', (payload) => {
+      const message = JSON.parse(payload);
+      if (message.kind === 'player' && message.username === 'alice') syncs.push(message);
+    });
+
+    const alice = await first.connect('alice');
+    alice.send({ type: 'join', cid: 'c1' });
+    await alice.next('lobbyState');
+    const bob = await second.connect('bob');
+    bob.send({ type: 'join', cid: 'c1' });
+    await bob.next('lobbyState');
+    alice.send({ type: 'ready', cid: 'c1' });
+    await bob.next('playerReadyToggle', (message) => message.player.username === 'alice');
+    bob.send({ type: 'ready', cid: 'c1' });
+    await alice.next('timerStarted');
+
+    syncs.length = 0;
+    alice.send({ type: 'testResults', cid: 'c1', submissionId: 'alice-1' });
+    const { point } = await bob.next('playerTestResults');
+    await waitUntil(() => syncs.some((message) => message.point));
+    assert.ok(syncs.every((message) => message.progress === undefined && message.player.progress === undefined));
+    assert.deepEqual(syncs.find((message) => message.point).point, point);
+
+    await bob.close();
+    const returning = await second.connect('bob');
+    returning.send({ type: 'join', cid: 'c1' });
+    assert.deepEqual((await returning.next('lobbyState')).progress.alice, [[point.at, 2, 1, 0]]);
+  });
+
+  test('tournament events reach players and watchers on every node', async () => {
+    const { first, second } = nodes;
+    const bob = await second.connect('bob');
+    const dave = await second.connect('dave');
+
+    const res = await fetch(`http://localhost:${first.server.port}/admin/tournaments`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${signToken({ username: 'organizer', role: 'admin' }, TEST_SECRET)}` },
+      body: JSON.stringify({ name: 'Weekly', players: ['alice', 'bob'] })
+    });
+    const { tournamentId } = await res.json();
+
+    assert.deepEqual((await bob.next('tournamentMatch')).players, ['alice', 'bob']);
+    dave.send({ type: 'watchTournament', tournamentId });
+    assert.equal((await dave.next('tournamentStandings')).tournamentId, tournamentId);
+  });
+
+  test('players queued on different nodes are matched with each other', async () => {
+    const { first, second } = nodes;
+    const carol = await first.connect('carol');
+    carol.send({ type: 'queue' });
+    await carol.next('queueStatus');
+    carol.send({ type: 'leaveQueue' });
+    await carol.next('queueLeft');
+
+    const alice = await first.connect('alice');
+    alice.send({ type: 'queue' });
+    await alice.next('queueStatus');
+    const bob = await second.connect('bob');
+    bob.send({ type: 'queue' });
+    assert.equal((await bob.next('queueStatus')).queueSize, 2);
+
+    await first.clock.advance(1000);
+    const found = await alice.next('matchFound');
+    assert.deepEqual(found.players, ['alice', 'bob']);
+    assert.equal((await bob.next('matchFound')).cid, found.cid);
+    assert.equal(backend.callsTo('CreateChallenge').length, 1);
+    assert.equal(carol.hasReceived('matchFound'), false);
+  });
+});
+
+describe('cluster outages', () => {
+  test('a timer tick whose lock renewal fails is logged and retried', async () => {
+    const backend = await startFakeBackend({ challenges: { c1: { participants: ['alice'] } } });
+    const cluster = createInProcessAdapter();
+    const errors = [];
+    const ctx = await startTestServer({
+      backend,
+      cluster,
+      logger: { log() {}, warn() {}, error: (message) => errors.push(message) }
+    });
+    try {
+      const [alice] = await startChallenge(ctx, 'c1', ['alice']);
+      const { renewLock } = cluster;
+      cluster.renewLock = async () => {
+        throw new Error('Redis is down');
+      };
+      await ctx.clock.advance(2000);
+      assert.ok(errors.some((message) => message.startsWith('❌ Failed to renew timer lock')));
+
+      cluster.renewLock = renewLock;
+      await ctx.clock.advance(1000);
+      const { duration } = alice.received.find((message) => message.type === 'timerStarted');
+      await alice.next('timerUpdate', (message) => message.remainingTime === duration - 3000);
+    } finally {
+      await ctx.server.stop();
+      await backend.close();
+    }
+  });
+
+  test('a start or end whose lock cannot be taken is tried again', async () => {
+    const backend = await startFakeBackend({ challenges: { c1: { participants: ['alice', 'bob'], durationMinutes: 1 } } });
+    const cluster = createInProcessAdapter();
+    const errors = [];
+    const ctx = await startTestServer({
+      backend,
+      cluster,
+      logger: { log() {}, warn() {}, error: (message) => errors.push(message) }
+    });
+    const { acquireLock } = cluster;
+    const failOnce = (suffix) => {
+      cluster.acquireLock = async (key, ...args) => {
+        if (key.endsWith(suffix)) {
+          cluster.acquireLock = acquireLock;
+          throw new Error('Redis is down');
+        }
+        return acquireLock(key, ...args);
+      };
+    };
+    try {
+      const [alice, bob] = await Promise.all([ctx.connect('alice'), ctx.connect('bob')]);
+      for (const client of [alice, bob]) {
+        client.send({ type: 'join', cid: 'c1' });
+        await client.next('lobbyState');
+      }
+      failOnce(':start');
+      alice.send({ type: 'ready', cid: 'c1' });
+      await bob.next('playerReadyToggle');
+      bob.send({ type: 'ready', cid: 'c1' });
+      await waitUntil(() => errors.length === 1);
+      assert.equal(ctx.server.lobbies.get('c1').started, false);
+
+      bob.send({ type: 'ready', cid: 'c1' });
+      await alice.next('playerReadyToggle', (message) => message.player.username === 'bob' && !message.player.ready);
+      bob.send({ type: 'ready', cid: 'c1' });
+      await alice.next('timerStarted');
+
+      // The timer runs out while the cluster is down: the challenge still ends
+      failOnce(':end');
+      await ctx.clock.advance(60 * 1000);
+      await waitUntil(() => errors.length === 2);
+      assert.equal(ctx.server.lobbies.get('c1').challengeEnded, false);
+      await ctx.clock.advance(5000);
+      await alice.next('challengeEnded');
+      assert.equal(backend.callsTo('EndChallenge').length, 1);
+    } finally {
+      await ctx.server.stop();
+      await backend.close();
+    }
+  });
+
+  test('an event that cannot be numbered is still delivered, without a sequence', async () => {
+    const backend = await startFakeBackend({ challenges: { c1: { participants: ['alice', 'bob'] } } });
+    const cluster = createInProcessAdapter();
+    const errors = [];
+    const ctx = await startTestServer({
+      backend,
+      cluster,
+      logger: { log() {}, warn() {}, error: (message) => errors.push(message) }
+    });
+    try {
+      const [alice, bob] = await Promise.all([ctx.connect('alice'), ctx.connect('bob')]);
+      for (const client of [alice, bob]) {
+        client.send({ type: 'join', cid: 'c1' });
+        await client.next('lobbyState');
+      }
+      const { nextSequence } = cluster;
+      cluster.nextSequence = async () => {
+        cluster.nextSequence = nextSequence;
+        throw new Error('Redis is down');
+      };
+      alice.send({ type: 'ready', cid: 'c1' });
+      const unnumbered = await bob.next('playerReadyToggle');
+      assert.equal(unnumbered.sequence, undefined);
+      assert.ok(errors.some((message) => message.startsWith('❌ Failed to number "playerReadyToggle"')));
+
+      alice.send({ type: 'ready', cid: 'c1' });
+      const numbered = await bob.next('playerReadyToggle', (message) => !message.player.ready);
+      assert.ok(Number.isInteger(numbered.sequence));
+    } finally {
+      await ctx.server.stop();
+      await backend.close();
+    }
+  });
+});
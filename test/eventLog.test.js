@@ -0,0 +1,156 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createFileEventLog, getReplayFrames } from '../src/eventLog.js';
+import { signToken } from '../src/auth.js';
+import { startFakeBackend } from './helpers/fakeBackend.js';
+import { startTestServer, startChallenge, TEST_SECRET } from './helpers/testServer.js';
+
+describe('event log', () => {
+  test('the file log keeps one line per entry and replays broadcasts relative to the first', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'meetcode-events-'));
+    try {
+      const log = createFileEventLog({ directory });
+      await log.append('c/1', { at: 1000, direction: 'in', username: 'alice', message: { type: 'ready' } });
+      await log.append('c/1', { at: 1200, direction: 'out', message: { type: 'playerReadyToggle' } });
+      await log.append('c/1', { at: 9200, direction: 'out', message: { type: 'timerStarted' } });
+
+      const entries = await createFileEventLog({ directory }).read('c/1');
+      assert.equal(entries.length, 3);
+      assert.deepEqual(await log.read('c2'), []);
+      assert.deepEqual(getReplayFrames(entries, 4), [
+        { delay: 0, message: { type: 'playerReadyToggle' } },
+        { delay: 2000, message: { type: 'timerStarted' } }
+      ]);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('challenge timeline', () => {
+  let backend;
+  let ctx;
+
+  beforeEach(async () => {
+    backend = await startFakeBackend({
+      challenges: {
+        c1: { participants: ['alice', 'bob'] },
+        c2: { participants: ['alice', 'bob', 'carol', 'dave'] }
+      }
+    });
+    ctx = await startTestServer({ backend });
+  });
+
+  afterEach(async () => {
+    await ctx.server.stop();
+    await backend.close();
+  });
+
+  const fetchEvents = (username, query = '', claims = {}, cid = 'c1') => fetch(`http://localhost:${ctx.server.port}/challenges/${cid}/events${query}`, {
+    headers: { authorization: `Bearer ${signToken({ username, ...claims }, TEST_SECRET)}` }
+  });
+
+  test('players and admins can read the timeline once the challenge has ended', async () => {
+    const [alice, bob] = await startChallenge(ctx, 'c1', ['alice', 'bob']);
+    assert.equal((await fetchEvents('alice')).status, 409);
+
+    alice.send({ type: 'endChallenge', cid: 'c1' });
+    await bob.next('challengeEnded');
+
+    const res = await fetchEvents('bob', '?type=ready');
+    assert.equal(res.status, 200);
+    const { events } = await res.json();
+    assert.deepEqual(events.map((event) => [event.direction, event.username]), [['in', 'alice'], ['in', 'bob']]);
+
+    assert.equal((await fetchEvents('mallory')).status, 403);
+    assert.equal((await fetchEvents('organizer', '', { role: 'admin' })).status, 200);
+
+    // Tokens bound to a challenge only open that challenge's timeline
+    const elsewhere = await fetchEvents('bob', '', { cid: 'c2' });
+    assert.equal(elsewhere.status, 403);
+    assert.deepEqual(await elsewhere.json(), { error: 'Token is not valid for this challenge' });
+    assert.equal((await fetchEvents('bob', '', { cid: 'c1' })).status, 200);
+  });
+
+  test('users who were refused entry did not take part', async () => {
+    const clients = {};
+    for (const username of ['alice', 'bob', 'dave']) {
+      clients[username] = await ctx.connect(username);
+      clients[username].send({ type: 'join', cid: 'c2' });
+      await clients[username].next('lobbyState');
+    }
+    clients.alice.send({ type: 'kickPlayer', cid: 'c2', target: 'dave' });
+    await clients.dave.next('kicked');
+    clients.alice.send({ type: 'lockLobby', cid: 'c2', locked: true });
+    await clients.bob.next('lobbySettingsChanged');
+
+    const carol = await ctx.connect('carol');
+    carol.send({ type: 'join', cid: 'c2' });
+    assert.equal((await carol.next('joinError')).message, 'Lobby is locked by the host');
+    const returning = await ctx.connect('dave');
+    returning.send({ type: 'join', cid: 'c2' });
+    assert.equal((await returning.next('joinError')).message, 'You have been removed from this challenge');
+
+    for (const username of ['alice', 'bob']) {
+      clients[username].send({ type: 'ready', cid: 'c2' });
+      await clients[username].next('playerReadyToggle', (message) => message.player.username === username);
+    }
+    await clients.alice.next('timerStarted');
+    clients.alice.send({ type: 'endChallenge', cid: 'c2' });
+    await clients.bob.next('challengeEnded');
+
+    assert.equal((await fetchEvents('carol', '', {}, 'c2')).status, 403);
+    const res = await fetchEvents('dave', '?type=join', {}, 'c2');
+    assert.equal(res.status, 200);
+    const { events } = await res.json();
+    assert.deepEqual(events.map((event) => event.username), ['alice', 'bob', 'dave']);
+  });
+
+  test('the timeline only holds chat as moderation let it through', async () => {
+    await ctx.server.stop();
+    for (const chatBlocklistMode of ['mask', 'reject']) {
+      ctx = await startTestServer({ backend, chatBlocklist: ['noob'], chatBlocklistMode });
+      const [alice, bob] = await startChallenge(ctx, 'c1', ['alice', 'bob']);
+      alice.send({ type: 'endChallenge', cid: 'c1' });
+      await bob.next('challengeEnded');
+
+      bob.send({ type: 'chatMessage', cid: 'c1', text: 'gg noob' });
+      if (chatBlocklistMode === 'mask') {
+        assert.equal((await alice.next('chatMessage')).message.text, 'gg ****');
+      } else {
+        assert.equal((await bob.next('error')).code, 'MESSAGE_BLOCKED');
+      }
+
+      const { events } = await (await fetchEvents('alice', '?type=chatMessage')).json();
+      assert.doesNotMatch(JSON.stringify(events), /noob/);
+      assert.deepEqual(
+        events.filter((event) => event.direction === 'in').map((event) => event.message.text),
+        chatBlocklistMode === 'mask' ? ['gg ****'] : []
+      );
+      await ctx.server.stop();
+    }
+    ctx = await startTestServer({ backend });
+  });
+
+  test('a replay plays the broadcasts back at the requested speed', async () => {
+    const [alice, bob] = await startChallenge(ctx, 'c1', ['alice', 'bob']);
+    await ctx.clock.advance(8000);
+    alice.send({ type: 'endChallenge', cid: 'c1' });
+    await bob.next('challengeEnded');
+
+    bob.send({ type: 'replay', cid: 'c1', speed: 2 });
+    assert.equal((await bob.next('error')).code, 'INVALID_SPEED');
+
+    bob.send({ type: 'replay', cid: 'c1', speed: 16 });
+    const started = await bob.next('replayStarted');
+    assert.equal(started.duration, 500);
+
+    await ctx.clock.advance(500);
+    await bob.next('replayFinished');
+    const replayed = await bob.next('challengeEnded');
+    assert.equal(replayed.sequence, undefined);
+  });
+});
@@ -0,0 +1,64 @@
+import { createServer } from 'http';
+
+// Stand-in for the meetcode GraphQL backend. Operations are recognised by
+// name and every call is recorded so tests can check what the server sent.
+// Challenges created through CreateChallenge are added to `challenges`.
+//   challenges:  { [cid]: { participants: ['alice', 'bob'], ratings?: { alice: 1500 }, durationMinutes?, ... } }
+//   submissions: { [submissionId]: { cid, username, testsPassed, score } }
+export async function startFakeBackend({ challenges = {}, submissions = {} } = {}) {
+  const calls = [];
+  let created = 0;
+
+  const resolvers = {
+    Ping: () => ({ __typename: 'Query' }),
+    GetChallengeById: ({ cid }) => {
+      const challenge = challenges[cid];
+      if (!challenge) return { getChallengeById: null };
+      return {
+        getChallengeById: {
+          cid,
+          status: 'WAITING',
+          ...challenge,
+          participants: challenge.participants.map((username) => ({
+            username,
+            rating: challenge.ratings?.[username] ?? null
+          }))
+        }
+      };
+    },
+    CreateChallenge: ({ participants, difficulty, language }) => {
+      const cid = `match-${++created}`;
+      challenges[cid] = { participants, difficulty, language };
+      return { createChallenge: { cid, status: 'WAITING' } };
+    },
+    StartChallenge: ({ cid }) => ({ startChallenge: { cid, status: 'IN_PROGRESS' } }),
+    EndChallenge: ({ cid }) => ({ endChallenge: { cid, status: 'ENDED' } }),
+    GetSubmission: ({ submissionId }) => {
+      const submission = submissions[submissionId];
+      return { getSubmission: submission ? { submissionId, ...submission } : null };
+    }
+  };
+
+  const server = createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const { query, variables } = JSON.parse(body);
+    const operation = /\b(?:query|mutation)\s+(\w+)/.exec(query)?.[1];
+    calls.push({ operation, variables });
+
+    const resolver = resolvers[operation];
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(resolver
+      ? { data: resolver(variables) }
+      : { errors: [{ message: `Unknown operation ${operation}` }] }));
+  });
+
+  await new Promise((resolve) => server.listen(0, resolve));
+
+  return {
+    url: `http://localhost:${server.address().port}/graphql`,
+    calls,
+    callsTo: (operation) => calls.filter((call) => call.operation === operation),
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
@@ -0,0 +1,56 @@
+// Manually advanced clock with the same shape as systemClock (src/clock.js).
+// advance() fires due timers in order, letting promise chains settle after each.
+
+const settle = async () => {
+  for (let i = 0; i < 5; i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+};
+
+export function createFakeClock(start = Date.now()) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+
+  const schedule = (fn, ms, interval) => {
+    const id = nextId++;
+    timers.set(id, { fn, at: now + Math.max(0, ms || 0), interval: interval ? Math.max(1, ms || 0) : null });
+    return id;
+  };
+  const cancel = (id) => {
+    timers.delete(id);
+  };
+
+  return {
+    now: () => now,
+    setTimeout: (fn, ms) => schedule(fn, ms, false),
+    clearTimeout: cancel,
+    setInterval: (fn, ms) => schedule(fn, ms, true),
+    clearInterval: cancel,
+
+    async advance(ms) {
+      const target = now + ms;
+      for (;;) {
+        let dueId = null;
+        for (const [id, timer] of timers) {
+          if (timer.at <= target && (dueId === null || timer.at < timers.get(dueId).at)) {
+            dueId = id;
+          }
+        }
+        if (dueId === null) break;
+
+        const timer = timers.get(dueId);
+        now = timer.at;
+        if (timer.interval) {
+          timer.at += timer.interval;
+        } else {
+          timers.delete(dueId);
+        }
+        timer.fn();
+        await settle();
+      }
+      now = target;
+      await settle();
+    }
+  };
+}
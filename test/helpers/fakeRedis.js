@@ -0,0 +1,70 @@
+import { EventEmitter } from 'events';
+
+// In-memory stand-in for the few Redis commands createRedisAdapter uses. Every
+// client made by one fake shares its keys and channels, like connections to
+// one Redis server. eval() recognises the adapter's scripts by what they do.
+export function createFakeRedis() {
+  const keys = new Map(); // key -> { value, expiresAt }
+  const channels = new EventEmitter();
+  channels.setMaxListeners(0);
+
+  const read = (key) => {
+    const entry = keys.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      keys.delete(key);
+      return null;
+    }
+    return entry.value;
+  };
+  const write = (key, value, ttlMs) => {
+    keys.set(key, { value: String(value), expiresAt: Date.now() + Number(ttlMs) });
+  };
+
+  const client = () => {
+    const emitter = new EventEmitter();
+    const listeners = new Map();
+
+    return Object.assign(emitter, {
+      async publish(channel, payload) {
+        setImmediate(() => channels.emit(channel, payload));
+        return channels.listenerCount(channel);
+      },
+      async subscribe(channel) {
+        if (listeners.has(channel)) return;
+        const listener = (payload) => emitter.emit('message', channel, payload);
+        listeners.set(channel, listener);
+        channels.on(channel, listener);
+      },
+      async unsubscribe(channel) {
+        channels.off(channel, listeners.get(channel));
+        listeners.delete(channel);
+      },
+      async set(key, value, px, ttlMs, nx) {
+        if (nx === 'NX' && read(key) !== null) return null;
+        write(key, value, ttlMs);
+        return 'OK';
+      },
+      async get(key) {
+        return read(key);
+      },
+      async eval(script, numKeys, key, ...args) {
+        if (script.includes('pexpire')) {
+          if (read(key) !== args[0]) return 0;
+          write(key, args[0], args[1]);
+          return 1;
+        }
+        if (script.includes('del')) {
+          if (read(key) !== args[0]) return 0;
+          keys.delete(key);
+          return 1;
+        }
+        const next = Math.max(Number(read(key) || 0), Number(args[0])) + 1;
+        write(key, next, args[1]);
+        return next;
+      }
+    });
+  };
+
+  return { client, keys };
+}
@@ -0,0 +1,128 @@
+import WebSocket from 'ws';
+import { createSocketServer } from '../../src/app.js';
+import { createInProcessAdapter } from '../../src/cluster.js';
+import { createMemoryLobbyStore } from '../../src/lobbyStore.js';
+import { createMemoryEventLog } from '../../src/eventLog.js';
+import { signToken } from '../../src/auth.js';
+import { createFakeClock } from './fakeClock.js';
+
+export const TEST_SECRET = 'test-secret';
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+// Start a server on a free port against `backend`, with a fake clock and
+// nothing persisted. Heartbeats are pushed out of the way of clock.advance().
+export async function startTestServer({ backend, clock = createFakeClock(), ...options }) {
+  const server = createSocketServer({
+    port: 0,
+    backendUrl: backend.url,
+    authSecret: TEST_SECRET,
+    fetch: globalThis.fetch,
+    clock,
+    logger: silentLogger,
+    cluster: createInProcessAdapter(),
+    lobbyStore: createMemoryLobbyStore(),
+    outboxFile: null,
+    eventLog: createMemoryEventLog(),
+    heartbeatInterval: 24 * 60 * 60 * 1000,
+    ...options
+  });
+  await server.start();
+
+  return {
+    server,
+    clock,
+    url: `ws://localhost:${server.port}`,
+    connect: (username, clientOptions) => connectClient(`ws://localhost:${server.port}`, username, clientOptions)
+  };
+}
+
+// A ws client that records every message. next(type) resolves with the first
+// message of that type not returned before, waiting for it if needed.
+export async function connectClient(url, username, { token = signToken({ username }, TEST_SECRET) } = {}) {
+  const ws = new WebSocket(`${url}/?token=${token}`);
+  const received = [];
+  const consumed = new Set();
+  const waiters = [];
+
+  const take = (type, predicate) => {
+    const index = received.findIndex((message, i) => !consumed.has(i) && message.type === type && predicate(message));
+    if (index === -1) return null;
+    consumed.add(index);
+    return received[index];
+  };
+
+  ws.on('message', (data) => {
+    received.push(JSON.parse(data));
+    for (const waiter of [...waiters]) {
+      const message = take(waiter.type, waiter.predicate);
+      if (message) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(message);
+      }
+    }
+  });
+
+  const closed = new Promise((resolve) => {
+    ws.on('close', (code, reason) => resolve({ code, reason: reason.toString() }));
+  });
+
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+
+  return {
+    ws,
+    username,
+    received,
+    closed,
+    send: (message) => ws.send(JSON.stringify(message)),
+    next(type, predicate = () => true, timeout = 2000) {
+      const message = take(type, predicate);
+      if (message) return Promise.resolve(message);
+
+      return new Promise((resolve, reject) => {
+        const waiter = { type, predicate, resolve };
+        waiter.timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          reject(new Error(`${username} did not receive "${type}" within ${timeout}ms`));
+        }, timeout);
+        waiters.push(waiter);
+      });
+    },
+    // True if a message of `type` arrived (consumed or not)
+    hasReceived: (type, predicate = () => true) => received.some((message) => message.type === type && predicate(message)),
+    close() {
+      ws.close();
+      return closed;
+    }
+  };
+}
+
+// Connect `usernames`, join `cid` and ready everyone up until the timer starts
+export async function startChallenge(ctx, cid, usernames) {
+  const clients = [];
+  for (const username of usernames) {
+    const client = await ctx.connect(username);
+    client.send({ type: 'join', cid });
+    await client.next('lobbyState');
+    clients.push(client);
+  }
+  for (const client of clients) {
+    client.send({ type: 'ready', cid });
+    await client.next('playerReadyToggle', (message) => message.player.username === client.username);
+  }
+  await Promise.all(clients.map((client) => client.next('timerStarted')));
+  return clients;
+}
+
+// Poll until `predicate` holds, for state the server changes without telling clients
+export async function waitUntil(predicate, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Condition not met in time');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
@@ -0,0 +1,119 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeBackend } from './helpers/fakeBackend.js';
+import { startTestServer, startChallenge } from './helpers/testServer.js';
+
+describe('joining a lobby', () => {
+  let backend;
+  let ctx;
+
+  beforeEach(async () => {
+    backend = await startFakeBackend({
+      challenges: { c1: { participants: ['alice', 'bob'] } }
+    });
+    ctx = await startTestServer({ backend });
+  });
+
+  afterEach(async () => {
+    await ctx.server.stop();
+    await backend.close();
+  });
+
+  test('participants get the lobby state and are announced to the others', async () => {
+    const alice = await ctx.connect('alice');
+    alice.send({ type: 'join', cid: 'c1' });
+    const aliceState = await alice.next('lobbyState');
+    assert.equal(aliceState.status, 'WAITING');
+    assert.deepEqual(aliceState.players.map((p) => p.username), ['alice']);
+
+    const bob = await ctx.connect('bob');
+    bob.send({ type: 'join', cid: 'c1' });
+    const bobState = await bob.next('lobbyState');
+    assert.deepEqual(bobState.players.map((p) => p.username).sort(), ['alice', 'bob']);
+
+    const joined = await alice.next('playerJoined');
+    assert.equal(joined.player.username, 'bob');
+    assert.equal(joined.player.ready, false);
+  });
+
+  test('users who are not participants are refused', async () => {
+    const mallory = await ctx.connect('mallory');
+    mallory.send({ type: 'join', cid: 'c1' });
+    const error = await mallory.next('joinError');
+    assert.equal(error.message, 'You are not a participant in this challenge');
+    assert.equal(ctx.server.lobbies.has('c1'), false);
+  });
+
+  test('unknown challenges are refused', async () => {
+    const alice = await ctx.connect('alice');
+    alice.send({ type: 'join', cid: 'missing' });
+    const error = await alice.next('joinError');
+    assert.equal(error.message, 'Challenge not found');
+  });
+
+  test('invalid tokens are rejected and the socket closed', async () => {
+    const alice = await ctx.connect('alice', { token: 'not-a-token' });
+    await alice.next('authError');
+    const { code } = await alice.closed;
+    assert.equal(code, 4001);
+  });
+
+  test('messages must name a claimed user that matches the token', async () => {
+    const alice = await ctx.connect('alice');
+    alice.send({ type: 'join', cid: 'c1', username: 'bob' });
+    const error = await alice.next('authError');
+    assert.equal(error.message, 'Username does not match authenticated user');
+  });
+});
+
+describe('ready-up', () => {
+  let backend;
+  let ctx;
+
+  beforeEach(async () => {
+    backend = await startFakeBackend({
+      challenges: { c1: { participants: ['alice', 'bob'], durationMinutes: 10, totalTests: 5 } }
+    });
+    ctx = await startTestServer({ backend });
+  });
+
+  afterEach(async () => {
+    await ctx.server.stop();
+    await backend.close();
+  });
+
+  test('the challenge waits until every player is ready', async () => {
+    const alice = await ctx.connect('alice');
+    alice.send({ type: 'join', cid: 'c1' });
+    await alice.next('lobbyState');
+    const bob = await ctx.connect('bob');
+    bob.send({ type: 'join', cid: 'c1' });
+    await bob.next('lobbyState');
+
+    alice.send({ type: 'ready', cid: 'c1' });
+    const toggle = await bob.next('playerReadyToggle');
+    assert.equal(toggle.player.username, 'alice');
+    assert.equal(toggle.player.ready, true);
+
+    assert.equal(ctx.server.lobbies.get('c1').status, 'WAITING');
+    assert.equal(alice.hasReceived('challengeStarted'), false);
+    assert.equal(backend.callsTo('StartChallenge').length, 0);
+  });
+
+  test('the challenge starts once when everyone is ready', async () => {
+    const [alice, bob] = await startChallenge(ctx, 'c1', ['alice', 'bob']);
+
+    for (const client of [alice, bob]) {
+      await client.next('challengeStarted');
+    }
+    const timer = alice.received.find((message) => message.type === 'timerStarted');
+    assert.equal(timer.duration, 10 * 60 * 1000);
+    assert.equal(timer.totalTests, 5);
+    assert.equal(timer.endTime - timer.startTime, 10 * 60 * 1000);
+
+    assert.equal(ctx.server.lobbies.get('c1').status, 'IN_PROGRESS');
+    const starts = backend.callsTo('StartChallenge');
+    assert.equal(starts.length, 1);
+    assert.equal(starts[0].variables.cid, 'c1');
+  });
+});
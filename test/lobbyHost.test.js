@@ -0,0 +1,110 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeBackend } from './helpers/fakeBackend.js';
+import { startTestServer } from './helpers/testServer.js';
+
+describe('lobby host', () => {
+  let backend;
+  let ctx;
+
+  beforeEach(async () => {
+    backend = await startFakeBackend({
+      challenges: {
+        c1: { participants: ['alice', 'bob', 'carol', 'dave'] },
+        c2: { participants: ['alice', 'bob'], createdBy: 'bob' }
+      }
+    });
+    ctx = await startTestServer({ backend });
+  });
+
+  afterEach(async () => {
+    await ctx.server.stop();
+    await backend.close();
+  });
+
+  const joinAll = async (cid, usernames) => {
+    const clients = [];
+    for (const username of usernames) {
+      const client = await ctx.connect(username);
+      client.send({ type: 'join', cid });
+      await client.next('lobbyState');
+      clients.push(client);
+    }
+    return clients;
+  };
+
+  test('the first player to join hosts, and hosting passes on when they leave', async () => {
+    const [alice, bob, carol] = await joinAll('c1', ['alice', 'bob', 'carol']);
+    assert.equal(carol.received.find((message) => message.type === 'lobbyState').host, 'alice');
+
+    bob.send({ type: 'lockLobby', cid: 'c1', locked: true });
+    assert.equal((await bob.next('error')).code, 'NOT_HOST');
+
+    alice.send({ type: 'kickPlayer', cid: 'c1', target: 'carol', reason: 'AFK' });
+    assert.equal((await carol.next('kicked')).reason, 'AFK');
+    await bob.next('playerKicked');
+
+    await alice.close();
+    await ctx.clock.advance(5000);
+    const changed = await bob.next('hostChanged');
+    assert.equal(changed.host, 'bob');
+    assert.equal(changed.reason, 'alice left');
+  });
+
+  test('the challenge creator hosts even if someone else joined first', async () => {
+    const [alice, bob] = await joinAll('c2', ['alice', 'bob']);
+    assert.equal(alice.received.find((message) => message.type === 'lobbyState').host, 'bob');
+
+    bob.send({ type: 'transferHost', cid: 'c2', target: 'alice' });
+    assert.equal((await alice.next('hostChanged')).host, 'alice');
+  });
+
+  test('a locked lobby refuses new players but takes back its own', async () => {
+    const [alice, bob] = await joinAll('c1', ['alice', 'bob']);
+    alice.send({ type: 'lockLobby', cid: 'c1', locked: true });
+    assert.equal((await bob.next('lobbySettingsChanged')).locked, true);
+
+    const carol = await ctx.connect('carol');
+    carol.send({ type: 'join', cid: 'c1' });
+    assert.equal((await carol.next('joinError')).message, 'Lobby is locked by the host');
+
+    await bob.close();
+    const returning = await ctx.connect('bob');
+    returning.send({ type: 'join', cid: 'c1' });
+    assert.equal((await returning.next('lobbyState')).locked, true);
+  });
+
+  test('force-starting counts down before the timer starts', async () => {
+    const [alice, bob] = await joinAll('c1', ['alice', 'bob']);
+    alice.send({ type: 'forceStart', cid: 'c1' });
+    const countdown = await bob.next('countdownStarted');
+    assert.equal(countdown.duration, 10 * 1000);
+    assert.equal(countdown.reason, 'Started by alice');
+
+    alice.send({ type: 'forceStart', cid: 'c1' });
+    assert.equal((await alice.next('error')).code, 'COUNTDOWN_RUNNING');
+    assert.equal(bob.hasReceived('timerStarted'), false);
+
+    await ctx.clock.advance(10 * 1000);
+    await bob.next('timerStarted');
+    assert.equal(backend.callsTo('StartChallenge').length, 1);
+
+    alice.send({ type: 'setMinReady', cid: 'c1', minReady: 1 });
+    assert.equal((await alice.next('error')).code, 'ALREADY_STARTED');
+  });
+
+  test('a minimum of ready players counts down, and dropping below it cancels', async () => {
+    const [alice, bob] = await joinAll('c1', ['alice', 'bob', 'carol']);
+    alice.send({ type: 'setMinReady', cid: 'c1', minReady: 2 });
+    assert.equal((await bob.next('lobbySettingsChanged')).minReady, 2);
+
+    alice.send({ type: 'ready', cid: 'c1' });
+    bob.send({ type: 'ready', cid: 'c1' });
+    assert.equal((await alice.next('countdownStarted')).reason, '2 of 3 players are ready');
+
+    bob.send({ type: 'ready', cid: 'c1' });
+    assert.equal((await alice.next('countdownCancelled')).reason, 'Not enough players are ready');
+    await ctx.clock.advance(10 * 1000);
+    assert.equal(backend.callsTo('StartChallenge').length, 0);
+  });
+});
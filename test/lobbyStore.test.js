@@ -0,0 +1,35 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { access, mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createFileLobbyStore } from '../src/lobbyStore.js';
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+describe('file lobby store', () => {
+  test('changes made close together are written to the file at once', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'meetcode-lobbies-'));
+    const filePath = join(directory, 'lobbies.json');
+    try {
+      const store = createFileLobbyStore({ filePath, writeDelay: 20, logger: silentLogger });
+      const saved = Promise.all([
+        store.save('c1', { status: 'WAITING' }),
+        store.save('c2', { status: 'WAITING' }),
+        store.save('c1', { status: 'IN_PROGRESS' })
+      ]);
+      await assert.rejects(access(filePath), { code: 'ENOENT' });
+
+      await saved;
+      assert.deepEqual(JSON.parse(await readFile(filePath, 'utf8')), {
+        c1: { status: 'IN_PROGRESS' },
+        c2: { status: 'WAITING' }
+      });
+
+      await store.remove('c2');
+      assert.deepEqual(await createFileLobbyStore({ filePath, logger: silentLogger }).load(), [['c1', { status: 'IN_PROGRESS' }]]);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});
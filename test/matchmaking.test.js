@@ -0,0 +1,202 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMatchmaker } from '../src/matchmaking.js';
+import { signToken } from '../src/auth.js';
+import { startFakeBackend } from './helpers/fakeBackend.js';
+import { startTestServer, waitUntil, TEST_SECRET } from './helpers/testServer.js';
+
+const options = { lobbySize: 2, initialBand: 100, bandGrowthPerSecond: 10, maxBand: 500 };
+
+describe('matchmaker', () => {
+  test('groups players within the rating band of the longest waiting one', () => {
+    const matchmaker = createMatchmaker(options);
+    matchmaker.add({ username: 'alice', rating: 1200 }, 0);
+    matchmaker.add({ username: 'bob', rating: 1500 }, 0);
+    matchmaker.add({ username: 'carol', rating: 1280 }, 0);
+
+    const [match, ...rest] = matchmaker.takeMatches(0);
+    assert.deepEqual(match.players.map((p) => p.username), ['alice', 'carol']);
+    assert.equal(rest.length, 0);
+    assert.equal(matchmaker.has('bob'), true);
+  });
+
+  test('the band widens while a player waits', () => {
+    const matchmaker = createMatchmaker(options);
+    matchmaker.add({ username: 'alice', rating: 1200 }, 0);
+    matchmaker.add({ username: 'bob', rating: 1400 }, 0);
+
+    assert.equal(matchmaker.takeMatches(5000).length, 0);
+    assert.equal(matchmaker.status('alice', 5000).band, 150);
+
+    const [match] = matchmaker.takeMatches(10000);
+    assert.deepEqual(match.players.map((p) => p.username), ['alice', 'bob']);
+  });
+
+  test('difficulty and language must agree, unset means any', () => {
+    const matchmaker = createMatchmaker(options);
+    matchmaker.add({ username: 'alice', rating: 1200, difficulty: 'easy', language: 'js' }, 0);
+    matchmaker.add({ username: 'bob', rating: 1200, difficulty: 'hard' }, 0);
+    matchmaker.add({ username: 'carol', rating: 1200, language: 'js' }, 0);
+
+    const [match] = matchmaker.takeMatches(0);
+    assert.deepEqual(match.players.map((p) => p.username), ['alice', 'carol']);
+    assert.equal(match.difficulty, 'easy');
+    assert.equal(match.language, 'js');
+  });
+
+  test('status reports position among compatible players and an ETA once matches happen', () => {
+    const matchmaker = createMatchmaker({ ...options, lobbySize: 3 });
+    matchmaker.add({ username: 'alice', rating: 1200, language: 'js' }, 0);
+    matchmaker.add({ username: 'bob', rating: 1200, language: 'py' }, 1000);
+    matchmaker.add({ username: 'carol', rating: 1200, language: 'py' }, 2000);
+
+    assert.deepEqual(matchmaker.status('carol', 3000), {
+      position: 2,
+      queueSize: 2,
+      band: 110,
+      waited: 1000,
+      estimatedWait: null
+    });
+
+    matchmaker.add({ username: 'dave', rating: 1200, language: 'py' }, 3000);
+    matchmaker.takeMatches(7000); // bob, carol and dave waited 6s, 5s and 4s
+    matchmaker.add({ username: 'erin', rating: 1200 }, 7000);
+    assert.equal(matchmaker.status('erin', 8000).estimatedWait, 4000);
+  });
+
+  test('restored players keep their place in line', () => {
+    const matchmaker = createMatchmaker(options);
+    matchmaker.add({ username: 'alice', rating: 1200 }, 0);
+    matchmaker.add({ username: 'bob', rating: 1200 }, 1000);
+    const [match] = matchmaker.takeMatches(2000);
+
+    matchmaker.add({ username: 'carol', rating: 1200 }, 3000);
+    matchmaker.restore(match.players);
+    assert.equal(matchmaker.status('alice', 3000).position, 1);
+    assert.equal(matchmaker.status('carol', 3000).position, 3);
+  });
+});
+
+describe('matchmaking over the socket', () => {
+  let backend;
+  let ctx;
+
+  const connect = (username, rating) => ctx.connect(username, { token: signToken({ username, rating }, TEST_SECRET) });
+
+  beforeEach(async () => {
+    backend = await startFakeBackend();
+    ctx = await startTestServer({ backend });
+  });
+
+  afterEach(async () => {
+    await ctx.server.stop();
+    await backend.close();
+  });
+
+  test('queued players are matched into a new challenge they can join', async () => {
+    const alice = await connect('alice', 1200);
+    const bob = await connect('bob', 1250);
+
+    alice.send({ type: 'queue', language: 'js' });
+    const status = await alice.next('queueStatus');
+    assert.equal(status.position, 1);
+    assert.equal(status.queueSize, 1);
+    bob.send({ type: 'queue' });
+    await bob.next('queueStatus');
+
+    await ctx.clock.advance(1000);
+    const found = await alice.next('matchFound');
+    assert.equal(found.cid, 'match-1');
+    assert.deepEqual(found.players, ['alice', 'bob']);
+    assert.equal(found.language, 'js');
+    assert.equal((await bob.next('matchFound')).cid, 'match-1');
+
+    const [created] = backend.callsTo('CreateChallenge');
+    assert.deepEqual(created.variables.participants, ['alice', 'bob']);
+
+    alice.send({ type: 'join', cid: found.cid });
+    assert.equal((await alice.next('lobbyState')).status, 'WAITING');
+  });
+
+  test('players far apart wait for the band to widen and get position updates', async () => {
+    const alice = await connect('alice', 1000);
+    const bob = await connect('bob', 1250);
+    alice.send({ type: 'queue' });
+    bob.send({ type: 'queue' });
+    await alice.next('queueStatus');
+    await bob.next('queueStatus');
+
+    await ctx.clock.advance(1000);
+    assert.equal((await alice.next('queueStatus')).band, 110);
+    assert.equal(alice.hasReceived('matchFound'), false);
+
+    await ctx.clock.advance(15 * 1000);
+    assert.equal((await alice.next('matchFound')).cid, 'match-1');
+  });
+
+  test('leaving the queue or queueing twice', async () => {
+    const alice = await connect('alice');
+    alice.send({ type: 'queue' });
+    await alice.next('queueStatus');
+
+    alice.send({ type: 'queue' });
+    assert.equal((await alice.next('error')).code, 'ALREADY_QUEUED');
+
+    alice.send({ type: 'leaveQueue' });
+    assert.equal((await alice.next('queueLeft')).reason, 'Left the queue');
+
+    const bob = await connect('bob');
+    bob.send({ type: 'queue' });
+    await bob.next('queueStatus');
+    await ctx.clock.advance(1000);
+    assert.equal(bob.hasReceived('matchFound'), false);
+  });
+
+  test('disconnected players are dropped from the queue', async () => {
+    const alice = await connect('alice');
+    alice.send({ type: 'queue' });
+    await alice.next('queueStatus');
+    await alice.close();
+
+    const bob = await connect('bob');
+    bob.send({ type: 'queue' });
+    const status = await bob.next('queueStatus');
+    assert.equal(status.queueSize, 1);
+  });
+
+  test('a player who leaves while the challenge is created sends the rest back in line', async () => {
+    await ctx.server.stop();
+    // Hold CreateChallenge until bob has left
+    let release;
+    const held = new Promise((resolve) => {
+      release = resolve;
+    });
+    const fetch = async (url, init) => {
+      if (init.body.includes('CreateChallenge')) await held;
+      return globalThis.fetch(url, init);
+    };
+    const warnings = [];
+    ctx = await startTestServer({ backend, fetch, logger: { log() {}, error() {}, warn: (message) => warnings.push(message) } });
+
+    const alice = await connect('alice');
+    const bob = await connect('bob');
+    alice.send({ type: 'queue' });
+    bob.send({ type: 'queue' });
+    await alice.next('queueStatus');
+    await bob.next('queueStatus');
+    await ctx.clock.advance(1000);
+
+    bob.send({ type: 'leaveQueue' });
+    await bob.next('queueLeft');
+    release();
+    await waitUntil(() => warnings.some((message) => message.includes('Dropping challenge match-1')));
+
+    const carol = await connect('carol');
+    carol.send({ type: 'queue' });
+    await carol.next('queueStatus');
+    await ctx.clock.advance(1000);
+    assert.equal((await alice.next('matchFound')).cid, 'match-2');
+    assert.equal(alice.received.filter((message) => message.type === 'matchFound').length, 1);
+    assert.equal(bob.hasReceived('matchFound'), false);
+  });
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateMessage, createTokenBucket } from '../src/messageValidation.js';
+
+const limits = { totalTests: 10 };
+
+test('valid messages pass', () => {
+  assert.equal(validateMessage({ type: 'join', cid: 'c1' }, limits), null);
+  assert.equal(validateMessage({ type: 'testResults', cid: 'c1', testsPassed: 10, submissionId: 's1' }, limits), null);
+});
+
+test('malformed messages are reported with a code and field', () => {
+  assert.equal(validateMessage([], limits).code, 'INVALID_MESSAGE');
+  assert.deepEqual(validateMessage({ type: 'dance' }, limits), {
+    code: 'UNKNOWN_TYPE',
+    field: 'type',
+    message: 'Unknown message type "dance"'
+  });
+  assert.equal(validateMessage({ type: 'chatMessage', cid: 'c1' }, limits).code, 'MISSING_FIELD');
+  assert.equal(validateMessage({ type: 'join', cid: 42 }, limits).code, 'INVALID_FIELD');
+
+  const outOfRange = validateMessage({ type: 'testResults', cid: 'c1', testsPassed: 11 }, limits);
+  assert.equal(outOfRange.code, 'OUT_OF_RANGE');
+  assert.equal(outOfRange.field, 'testsPassed');
+});
+
+test('the token bucket allows a burst, then refills over time', () => {
+  let now = 0;
+  const bucket = createTokenBucket({ capacity: 2, refillPerSecond: 1, now: () => now });
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), false);
+
+  now = 1000;
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), false);
+});
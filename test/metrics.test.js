@@ -0,0 +1,40 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeBackend } from './helpers/fakeBackend.js';
+import { startTestServer } from './helpers/testServer.js';
+
+describe('metrics', () => {
+  let backend;
+  let first;
+  let second;
+
+  beforeEach(async () => {
+    backend = await startFakeBackend({ challenges: { c1: { participants: ['alice', 'bob'] } } });
+    first = await startTestServer({ backend });
+    second = await startTestServer({ backend, clock: first.clock });
+  });
+
+  afterEach(async () => {
+    await first.server.stop();
+    await second.server.stop();
+    await backend.close();
+  });
+
+  const scrape = async (ctx, name) => {
+    const res = await fetch(`http://localhost:${ctx.server.port}/metrics`);
+    const line = (await res.text()).split('\n').find((text) => text.startsWith(`${name} `) || text.startsWith(`${name}{`));
+    return line ? Number(line.split(' ').pop()) : null;
+  };
+
+  test('servers in one process report their own numbers', async () => {
+    const alice = await first.connect('alice');
+    alice.send({ type: 'join', cid: 'c1' });
+    await alice.next('lobbyState');
+    await first.connect('bob');
+
+    assert.equal(await scrape(first, 'meetcode_socket_connected_sockets'), 2);
+    assert.equal(await scrape(second, 'meetcode_socket_connected_sockets'), 0);
+    assert.equal(await scrape(first, 'meetcode_socket_active_lobbies'), 1);
+    assert.equal(await scrape(second, 'meetcode_socket_active_lobbies'), 0);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createOutbox } from '../src/outbox.js';
+import { BackendError } from '../src/backendClient.js';
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+describe('outbox', () => {
+  test('retries failures that may pass and dead-letters the ones that cannot', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'meetcode-outbox-'));
+    const filePath = join(directory, 'outbox.json');
+    try {
+      const attempts = new Map();
+      const deadLettered = [];
+      const outbox = createOutbox({
+        filePath,
+        retryDelay: 1,
+        logger: silentLogger,
+        onDeadLetter: (entry, err) => deadLettered.push([entry.cid, err.message]),
+        send: async ({ cid }) => {
+          attempts.set(cid, (attempts.get(cid) || 0) + 1);
+          if (cid === 'unknown') throw new BackendError('Backend returned errors: Challenge not found', { retryable: false });
+          if (attempts.get(cid) < 3) throw new BackendError('Backend responded with HTTP 503');
+          return { cid };
+        }
+      });
+
+      await outbox.enqueue('endChallenge', 'unknown', {});
+      await outbox.enqueue('endChallenge', 'flaky', {});
+      assert.equal(await outbox.drain(), 1);
+      assert.equal(await outbox.drain(), 0);
+
+      assert.equal(attempts.get('flaky'), 3);
+      assert.equal(attempts.get('unknown'), 1);
+      assert.deepEqual(deadLettered, [['unknown', 'Backend returned errors: Challenge not found']]);
+      assert.deepEqual(outbox.pending(), []);
+
+      // Dead letters are kept on disk but never sent again
+      const [stored] = JSON.parse(await readFile(filePath, 'utf8'));
+      assert.equal(stored.cid, 'unknown');
+      assert.ok(stored.deadAt);
+      const restarted = createOutbox({ filePath, logger: silentLogger, send: async () => assert.fail('sent a dead letter') });
+      await restarted.start();
+      assert.equal(restarted.deadLetters().length, 1);
+      assert.equal(await restarted.drain(), 0);
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('drain waits for deliveries already in flight and a throwing onDelivered keeps the entry delivered', async () => {
+    let release;
+    const held = new Promise((resolve) => { release = resolve; });
+    let sends = 0;
+    const deadLettered = [];
+    const outbox = createOutbox({
+      logger: silentLogger,
+      onDelivered: () => { throw new Error('listener broke'); },
+      onDeadLetter: (entry) => deadLettered.push(entry.cid),
+      send: async ({ cid }) => {
+        sends++;
+        await held;
+        return { cid };
+      }
+    });
+
+    const enqueued = outbox.enqueue('endChallenge', 'slow', {});
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(sends, 1);
+
+    let drained = null;
+    const draining = outbox.drain().then((remaining) => { drained = remaining; });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(drained, null);
+
+    release();
+    await draining;
+    await enqueued;
+    assert.equal(drained, 0);
+    assert.equal(sends, 1);
+    assert.deepEqual(deadLettered, []);
+    assert.deepEqual(outbox.pending(), []);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordProgress, appendProgress, compactProgress } from '../src/progress.js';
+import { startFakeBackend } from './helpers/fakeBackend.js';
+import { startTestServer, startChallenge } from './helpers/testServer.js';
+
+describe('progress series', () => {
+  test('points count runs and submissions, and compacting keeps both ends', () => {
+    const player = {};
+    recordProgress(player, { at: 100, kind: 'run', testsPassed: 1 });
+    recordProgress(player, { at: 200, kind: 'run', testsPassed: 2 });
+    assert.deepEqual(recordProgress(player, { at: 300, kind: 'submission', testsPassed: 2 }), {
+      at: 300, testsPassed: 2, runs: 2, submissions: 1
+    });
+
+    for (let i = 4; i <= 10; i++) {
+      recordProgress(player, { at: i * 100, kind: 'run', testsPassed: 3 });
+    }
+    const compact = compactProgress(player.progress, 4);
+    assert.equal(compact.length, 4);
+    assert.deepEqual(compact[0], [100, 1, 1, 0]);
+    assert.deepEqual(compact[3], [1000, 3, 9, 1]);
+    assert.equal(compactProgress(player.progress).length, 10);
+  });
+
+  test('a series past its cap is thinned out to half, keeping both ends', () => {
+    const player = {};
+    for (let i = 1; i <= 10; i++) {
+      recordProgress(player, { at: i, kind: 'run', testsPassed: i }, 10);
+    }
+    assert.equal(player.progress.length, 10);
+
+    appendProgress(player, { at: 11, testsPassed: 11, runs: 11, submissions: 0 }, 10);
+    assert.equal(player.progress.length, 5);
+    assert.deepEqual([player.progress[0].at, player.progress[4].at], [1, 11]);
+    assert.deepEqual(recordProgress(player, { at: 12, kind: 'submission', testsPassed: 11 }, 10), {
+      at: 12, testsPassed: 11, runs: 11, submissions: 1
+    });
+  });
+});
+
+describe('progress history in a lobby', () => {
+  let backend;
+  let ctx;
+
+  beforeEach(async () => {
+    backend = await startFakeBackend({
+      challenges: { c1: { participants: ['alice', 'bob'], totalTests: 4 } },
+      submissions: {
+        'alice-1': { cid: 'c1', username: 'alice', testsPassed: 2, score: 50 },
+        'alice-2': { cid: 'c1', username: 'alice', testsPassed: 3, score: 75 }
+      }
+    });
+    ctx = await startTestServer({ backend });
+  });
+
+  afterEach(async () => {
+    await ctx.server.stop();
+    await backend.close();
+  });
+
+  test('points are broadcast as they come, sent to rejoining players and reported at the end', async () => {
+    const [alice, bob] = await startChallenge(ctx, 'c1', ['alice', 'bob']);
+    const startedAt = ctx.clock.now();
+
+    alice.send({ type: 'testResults', cid: 'c1', submissionId: 'alice-1' });
+    assert.deepEqual((await bob.next('playerTestResults')).point, { at: startedAt, testsPassed: 2, runs: 1, submissions: 0 });
+
+    await ctx.clock.advance(5000);
+    alice.send({ type: 'codeSubmitted', cid: 'c1', submissionId: 'alice-2' });
+    assert.deepEqual((await bob.next('playerCodeSubmitted')).point, { at: startedAt + 5000, testsPassed: 3, runs: 1, submissions: 1 });
+
+    await bob.close();
+    const returning = await ctx.connect('bob');
+    returning.send({ type: 'join', cid: 'c1' });
+    const state = await returning.next('lobbyState');
+    assert.deepEqual(state.progress, {
+      alice: [[startedAt, 2, 1, 0], [startedAt + 5000, 3, 1, 1]],
+      bob: []
+    });
+
+    alice.send({ type: 'endChallenge', cid: 'c1' });
+    const ended = await alice.next('challengeEnded');
+    assert.deepEqual(ended.progress.map(({ username, points }) => [username, points.length]), [['alice', 2], ['bob', 0]]);
+
+    await alice.next('challengeEndedConfirmed');
+    assert.deepEqual(backend.callsTo('EndChallenge')[0].variables.progress, ended.progress);
+  });
+});
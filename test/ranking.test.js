@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankPlayers } from '../src/ranking.js';
+
+const challenge = { startTime: 0, duration: 60000, totalTests: 4 };
+const player = (username, rawScore, submittedAt, extra = {}) =>
+  ({ username, rawScore, testsPassed: 2, submittedAt, completedAt: null, wrongSubmissions: 0, ...extra });
+
+const ranks = (ranked) => ranked.map(({ username, rank }) => [username, rank]);
+
+test('equal scores are split by the earliest accepted submission', () => {
+  const ranked = rankPlayers([
+    player('alice', 50, 30000),
+    player('bob', 50, 10000),
+    player('carol', 80, 50000)
+  ], challenge);
+
+  assert.deepEqual(ranks(ranked), [['carol', 1], ['bob', 2], ['alice', 3]]);
+});
+
+test('genuine ties share a rank and the next rank is skipped', () => {
+  const ranked = rankPlayers([
+    player('alice', 50, 10000),
+    player('bob', 50, 10000),
+    player('carol', 20, 5000),
+    player('dave', 0, null),
+    player('erin', 0, null)
+  ], challenge);
+
+  assert.deepEqual(ranks(ranked), [['alice', 1], ['bob', 1], ['carol', 3], ['dave', 4], ['erin', 4]]);
+});
+
+test('without tie-breaking equal scores always share a rank', () => {
+  const ranked = rankPlayers([
+    player('alice', 50, 30000),
+    player('bob', 50, 10000)
+  ], { ...challenge, policy: { tieBreak: 'none' } });
+
+  assert.deepEqual(ranks(ranked), [['alice', 1], ['bob', 1]]);
+});
+
+test('players who complete every test early get a bonus, failed submissions cost points', () => {
+  const policy = { timeBonus: 100, wrongSubmissionPenalty: 5 };
+  const [alice, bob] = rankPlayers([
+    player('alice', 100, 10000, { testsPassed: 4, completedAt: 15000, wrongSubmissions: 2 }),
+    player('bob', 60, 5000, { wrongSubmissions: 1 })
+  ], { ...challenge, policy });
+
+  assert.deepEqual(alice, {
+    username: 'alice',
+    score: 165,
+    rank: 1,
+    rawScore: 100,
+    bonus: 75,
+    penalty: 10,
+    finishTime: 15000
+  });
+  assert.equal(bob.bonus, 0);
+  assert.equal(bob.score, 55);
+  assert.equal(bob.finishTime, 5000);
+});
+
+test('scores never go below zero', () => {
+  const [alice] = rankPlayers([player('alice', 0, null, { wrongSubmissions: 3 })], {
+    ...challenge,
+    policy: { wrongSubmissionPenalty: 10 }
+  });
+  assert.equal(alice.score, 0);
+  assert.equal(alice.finishTime, null);
+});
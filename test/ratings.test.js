@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeRatingChanges, expectedScore } from '../src/ratings.js';
+
+test('equal ratings expect an even result', () => {
+  assert.equal(expectedScore(1500, 1500), 0.5);
+  assert.ok(expectedScore(1600, 1400) > 0.75);
+});
+
+test('a duel between equal players moves both by half of K', () => {
+  const changes = computeRatingChanges([
+    { username: 'alice', rank: 1, rating: 1500 },
+    { username: 'bob', rank: 2, rating: 1500 }
+  ], { kFactor: 32 });
+
+  assert.deepEqual(changes, [
+    { username: 'alice', oldRating: 1500, newRating: 1516, delta: 16 },
+    { username: 'bob', oldRating: 1500, newRating: 1484, delta: -16 }
+  ]);
+});
+
+test('every opponent counts, scaled by the lobby size', () => {
+  const changes = computeRatingChanges([
+    { username: 'alice', rank: 1, rating: 1500 },
+    { username: 'bob', rank: 2, rating: 1500 },
+    { username: 'carol', rank: 3, rating: 1500 }
+  ], { kFactor: 32 });
+
+  assert.deepEqual(changes.map((change) => change.delta), [16, 0, -16]);
+});
+
+test('equal ranks are draws', () => {
+  const even = computeRatingChanges([
+    { username: 'alice', rank: 1, rating: 1500 },
+    { username: 'bob', rank: 1, rating: 1500 }
+  ]);
+  assert.deepEqual(even.map((change) => change.delta), [0, 0]);
+
+  const upset = computeRatingChanges([
+    { username: 'alice', rank: 1, rating: 1300 },
+    { username: 'bob', rank: 1, rating: 1700 }
+  ], { kFactor: 32 });
+  assert.ok(upset[0].delta > 0);
+  assert.equal(upset[0].delta, -upset[1].delta);
+});
+
+test('a lone player keeps their rating', () => {
+  assert.deepEqual(computeRatingChanges([{ username: 'alice', rank: 1, rating: 1500 }]), [
+    { username: 'alice', oldRating: 1500, newRating: 1500, delta: 0 }
+  ]);
+});
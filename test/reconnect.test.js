@@ -0,0 +1,108 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeBackend } from './helpers/fakeBackend.js';
+import { createInProcessAdapter } from '../src/cluster.js';
+import { startTestServer, startChallenge, waitUntil } from './helpers/testServer.js';
+
+describe('reconnecting', () => {
+  let backend;
+  let cluster;
+  let ctx;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    backend = await startFakeBackend({
+      challenges: { c1: { participants: ['alice', 'bob'] } }
+    });
+    cluster = createInProcessAdapter();
+    ctx = await startTestServer({ backend, cluster });
+    [alice, bob] = await startChallenge(ctx, 'c1', ['alice', 'bob']);
+  });
+
+  afterEach(async () => {
+    await ctx.server.stop();
+    await backend.close();
+  });
+
+  test('within the grace period the player gets their slot back', async () => {
+    await alice.close();
+    const disconnected = await bob.next('playerDisconnected');
+    assert.equal(disconnected.player.username, 'alice');
+    assert.equal(disconnected.temporary, true);
+    assert.equal(disconnected.gracePeriod, 5000);
+
+    await ctx.clock.advance(4000);
+    const returning = await ctx.connect('alice');
+    returning.send({ type: 'join', cid: 'c1' });
+
+    const state = await returning.next('lobbyState');
+    assert.equal(state.status, 'IN_PROGRESS');
+    assert.deepEqual(state.players.map((p) => p.username).sort(), ['alice', 'bob']);
+    const reconnected = await bob.next('playerReconnected');
+    assert.equal(reconnected.player.username, 'alice');
+
+    // The cancelled grace timer must not remove her later
+    await ctx.clock.advance(5000);
+    assert.equal(ctx.server.lobbies.get('c1').players.has('alice'), true);
+    assert.equal(bob.hasReceived('playerLeft'), false);
+  });
+
+  test('after the grace period the player is removed for good', async () => {
+    await alice.close();
+    await bob.next('playerDisconnected');
+
+    await ctx.clock.advance(5001);
+    const left = await bob.next('playerLeft');
+    assert.equal(left.player.username, 'alice');
+    assert.equal(left.permanent, true);
+
+    const lobby = ctx.server.lobbies.get('c1');
+    assert.equal(lobby.players.has('alice'), false);
+    assert.equal(lobby.disconnectedPlayers.has('alice'), false);
+  });
+
+  test('resume replays the events missed while away', async () => {
+    const { sequence } = alice.received.findLast((message) => Number.isInteger(message.sequence));
+    await alice.close();
+    await bob.next('playerDisconnected');
+
+    bob.send({ type: 'codeRunning', cid: 'c1' });
+    await bob.next('playerCodeRunning');
+    const returning = await ctx.connect('alice');
+    returning.send({ type: 'resume', cid: 'c1', lastSequence: sequence });
+
+    const resumed = await returning.next('resumed');
+    assert.equal(resumed.snapshot, false);
+    const running = await returning.next('playerCodeRunning');
+    assert.equal(running.player.username, 'bob');
+  });
+
+  test('an event broadcast while a resume is in flight reaches the player once', async () => {
+    const { sequence } = alice.received.findLast((message) => Number.isInteger(message.sequence));
+    await alice.close();
+    await bob.next('playerDisconnected');
+
+    // Hold bob's broadcast in the lobby's queue until alice is back in the lobby
+    const { nextSequence } = cluster;
+    let release;
+    const gate = new Promise((resolve) => {
+      release = resolve;
+    });
+    cluster.nextSequence = async (...args) => {
+      await gate;
+      return nextSequence(...args);
+    };
+    bob.send({ type: 'codeRunning', cid: 'c1' });
+    await waitUntil(() => ctx.server.lobbies.get('c1').players.get('bob').running);
+
+    const returning = await ctx.connect('alice');
+    returning.send({ type: 'resume', cid: 'c1', lastSequence: sequence });
+    await waitUntil(() => ctx.server.lobbies.get('c1').players.has('alice'));
+    release();
+
+    await returning.next('resumed');
+    await bob.next('playerCodeRunning');
+    assert.equal(returning.received.filter((message) => message.type === 'playerCodeRunning').length, 1);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInProcessAdapter } from '../src/cluster.js';
+import { startFakeBackend } from './helpers/fakeBackend.js';
+import { startTestServer, startChallenge, waitUntil } from './helpers/testServer.js';
+
+describe('rematch', () => {
+  let backend;
+  let ctx;
+
+  beforeEach(async () => {
+    backend = await startFakeBackend({
+      challenges: {
+        c1: { participants: ['alice', 'bob'], pid: 'two-sum' },
+        c2: { participants: ['alice', 'bob', 'carol'], pid: 'two-sum' }
+      }
+    });
+    ctx = await startTestServer({ backend });
+  });
+
+  afterEach(async () => {
+    await ctx.server.stop();
+    await backend.close();
+  });
+
+  const playAndEnd = async (cid, usernames) => {
+    const clients = await startChallenge(ctx, cid, usernames);
+    clients[0].send({ type: 'endChallenge', cid });
+    await Promise.all(clients.map((client) => client.next('challengeEnded')));
+    return clients;
+  };
+
+  test('when everyone accepts, they get a new challenge on the same problem', async () => {
+    const [alice, bob] = await playAndEnd('c1', ['alice', 'bob']);
+
+    alice.send({ type: 'requestRematch', cid: 'c1' });
+    const vote = await bob.next('rematchVote');
+    assert.equal(vote.requestedBy, 'alice');
+    assert.deepEqual(vote.waitingFor, ['bob']);
+
+    bob.send({ type: 'requestRematch', cid: 'c1' });
+    const ready = await alice.next('rematchReady');
+    assert.equal(ready.previousCid, 'c1');
+    assert.deepEqual(ready.players, ['alice', 'bob']);
+    assert.equal((await bob.next('rematchReady')).cid, ready.cid);
+    assert.deepEqual(backend.callsTo('CreateChallenge')[0].variables, { participants: ['alice', 'bob'], pid: 'two-sum' });
+
+    for (const client of [alice, bob]) {
+      client.send({ type: 'join', cid: ready.cid });
+      assert.equal((await client.next('lobbyState')).status, 'WAITING');
+    }
+
+    // The old lobby keeps its results until it is cleaned up
+    assert.equal(ctx.server.lobbies.get('c1').finalScores.length, 2);
+    await ctx.clock.advance(30 * 1000);
+    assert.equal(ctx.server.lobbies.has('c1'), false);
+    assert.equal(ctx.server.lobbies.get(ready.cid).players.size, 2);
+  });
+
+  test('only the players who accept move on, on a new problem if asked', async () => {
+    const [alice, bob, carol] = await playAndEnd('c2', ['alice', 'bob', 'carol']);
+
+    alice.send({ type: 'requestRematch', cid: 'c2', newProblem: true });
+    await carol.next('rematchVote');
+    carol.send({ type: 'declineRematch', cid: 'c2' });
+    await bob.next('rematchVote', (vote) => vote.declined.includes('carol'));
+    bob.send({ type: 'requestRematch', cid: 'c2' });
+
+    assert.deepEqual((await bob.next('rematchReady')).players, ['alice', 'bob']);
+    assert.equal(backend.callsTo('CreateChallenge')[0].variables.pid, null);
+    assert.equal(carol.hasReceived('rematchReady'), false);
+
+    carol.send({ type: 'requestRematch', cid: 'c2' });
+    assert.equal((await carol.next('error')).code, 'VOTE_CLOSED');
+  });
+
+  test('a vote nobody else answers is called off when it times out', async () => {
+    const [alice, bob] = await playAndEnd('c1', ['alice', 'bob']);
+    alice.send({ type: 'requestRematch', cid: 'c1' });
+    await bob.next('rematchVote');
+
+    await ctx.clock.advance(20 * 1000);
+    assert.equal((await bob.next('rematchCancelled')).reason, 'Not enough players accepted the rematch');
+    assert.equal(backend.callsTo('CreateChallenge').length, 0);
+  });
+
+  test('a vote whose lock cannot be taken is retried instead of left open', async () => {
+    await ctx.server.stop();
+    const cluster = createInProcessAdapter();
+    const errors = [];
+    ctx = await startTestServer({ backend, cluster, logger: { log() {}, warn() {}, error: (message) => errors.push(message) } });
+    const [alice, bob] = await playAndEnd('c1', ['alice', 'bob']);
+
+    const { acquireLock } = cluster;
+    cluster.acquireLock = async (key, ...args) => {
+      if (key.endsWith(':rematch')) {
+        cluster.acquireLock = acquireLock;
+        throw new Error('Redis is down');
+      }
+      return acquireLock(key, ...args);
+    };
+    alice.send({ type: 'requestRematch', cid: 'c1' });
+    await bob.next('rematchVote');
+    bob.send({ type: 'requestRematch', cid: 'c1' });
+    await waitUntil(() => errors.some((message) => message.startsWith('❌ Failed to resolve the rematch vote of c1')));
+    assert.equal(alice.hasReceived('rematchReady'), false);
+
+    await ctx.clock.advance(5000);
+    assert.deepEqual((await alice.next('rematchReady')).players, ['alice', 'bob']);
+  });
+
+  test('a rematch can only be asked for once the challenge has ended', async () => {
+    const [alice] = await startChallenge(ctx, 'c1', ['alice', 'bob']);
+    alice.send({ type: 'requestRematch', cid: 'c1' });
+    assert.equal((await alice.next('error')).code, 'NOT_ENDED');
+  });
+});
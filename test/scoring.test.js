@@ -0,0 +1,264 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeBackend } from './helpers/fakeBackend.js';
+import { signToken } from '../src/auth.js';
+import { startTestServer, startChallenge, waitUntil, TEST_SECRET } from './helpers/testServer.js';
+
+const submissions = {
+  'alice-full': { cid: 'c1', username: 'alice', testsPassed: 4, score: 100 },
+  'bob-partial': { cid: 'c1', username: 'bob', testsPassed: 2, score: 40 },
+  'carol-partial': { cid: 'c1', username: 'carol', testsPassed: 3, score: 70 }
+};
+
+describe('finishing a challenge', () => {
+  let backend;
+  let ctx;
+
+  beforeEach(async () => {
+    backend = await startFakeBackend({
+      challenges: { c1: { participants: ['alice', 'bob', 'carol'], durationMinutes: 1, totalTests: 4 } },
+      submissions
+    });
+    ctx = await startTestServer({ backend });
+  });
+
+  afterEach(async () => {
+    await ctx.server.stop();
+    await backend.close();
+  });
+
+  test('a player who passes every test can leave early with their score', async () => {
+    const [alice, bob] = await startChallenge(ctx, 'c1', ['alice', 'bob']);
+
+    alice.send({ type: 'codeSubmitted', cid: 'c1', submissionId: 'alice-full' });
+    const canEnd = await bob.next('canEndChallenge');
+    assert.equal(canEnd.player.username, 'alice');
+
+    alice.send({ type: 'endChallengeForUser', cid: 'c1' });
+    const done = await alice.next('challengeEndedForUser');
+    assert.equal(done.finalScore, 100);
+    assert.equal(done.testsPassed, 4);
+
+    const left = await bob.next('playerCompletedAndLeft');
+    assert.equal(left.player.username, 'alice');
+    assert.equal(left.player.finalScore, 100);
+
+    const lobby = ctx.server.lobbies.get('c1');
+    assert.equal(lobby.status, 'IN_PROGRESS');
+    assert.equal(lobby.completedPlayers.has('alice'), true);
+  });
+
+  test('players who have not passed every test cannot leave early', async () => {
+    const [, bob] = await startChallenge(ctx, 'c1', ['alice', 'bob']);
+
+    bob.send({ type: 'codeSubmitted', cid: 'c1', submissionId: 'bob-partial' });
+    await bob.next('playerCodeSubmitted');
+    bob.send({ type: 'endChallengeForUser', cid: 'c1' });
+
+    const refusal = await bob.next('cannotEndYet');
+    assert.match(refusal.message, /currently passed: 2\/4/);
+  });
+
+  test('the challenge ends when the timer runs out', async () => {
+    const [alice] = await startChallenge(ctx, 'c1', ['alice', 'bob']);
+    await waitUntil(() => ctx.server.lobbies.get('c1').timer.intervalId);
+
+    await ctx.clock.advance(30 * 1000);
+    const update = alice.received.findLast((message) => message.type === 'timerUpdate');
+    assert.equal(update.remainingTime, 30 * 1000);
+    assert.equal(alice.hasReceived('challengeEnded'), false);
+
+    await ctx.clock.advance(30 * 1000);
+    const ended = await alice.next('challengeEnded');
+    assert.equal(ended.reason, 'Timer expired');
+    assert.equal(ctx.server.lobbies.get('c1').status, 'ENDED');
+  });
+
+  test('final ranking reported to the backend includes players who left early', async () => {
+    const [alice, bob, carol] = await startChallenge(ctx, 'c1', ['alice', 'bob', 'carol']);
+    await waitUntil(() => ctx.server.lobbies.get('c1').timer.intervalId);
+
+    bob.send({ type: 'codeSubmitted', cid: 'c1', submissionId: 'bob-partial' });
+    await bob.next('playerCodeSubmitted');
+    carol.send({ type: 'codeSubmitted', cid: 'c1', submissionId: 'carol-partial' });
+    await carol.next('playerCodeSubmitted');
+    alice.send({ type: 'codeSubmitted', cid: 'c1', submissionId: 'alice-full' });
+    await alice.next('canEndChallenge');
+    alice.send({ type: 'endChallengeForUser', cid: 'c1' });
+    await alice.next('challengeEndedForUser');
+
+    await ctx.clock.advance(60 * 1000);
+    const ended = await bob.next('challengeEnded');
+    const expected = [
+      { username: 'alice', score: 100, rank: 1 },
+      { username: 'carol', score: 70, rank: 2 },
+      { username: 'bob', score: 40, rank: 3 }
+    ];
+    assert.deepEqual(ended.finalScores.map(({ username, score, rank }) => ({ username, score, rank })), expected);
+
+    await bob.next('challengeEndedConfirmed');
+    const reports = backend.callsTo('EndChallenge');
+    assert.equal(reports.length, 1);
+    assert.equal(reports[0].variables.cid, 'c1');
+    assert.deepEqual(reports[0].variables.participantScores.map(({ username, score, rank }) => ({ username, score, rank })), expected);
+  });
+
+  test('ending a challenge does not wait for the backend to acknowledge it', async () => {
+    await ctx.server.stop();
+    // Hold EndChallenge until the admin has had an answer
+    let release;
+    const held = new Promise((resolve) => {
+      release = resolve;
+    });
+    const fetch = async (url, init) => {
+      if (init.body.includes('EndChallenge')) await held;
+      return globalThis.fetch(url, init);
+    };
+    ctx = await startTestServer({ backend, fetch });
+    const [alice] = await startChallenge(ctx, 'c1', ['alice', 'bob']);
+
+    const res = await globalThis.fetch(`http://localhost:${ctx.server.port}/admin/lobbies/c1/end`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${signToken({ username: 'organizer', role: 'admin' }, TEST_SECRET)}` },
+      body: JSON.stringify({ reason: 'Stopped' })
+    });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).status, 'ENDED');
+    assert.equal(alice.hasReceived('challengeEndedConfirmed'), false);
+
+    release();
+    await alice.next('challengeEndedConfirmed');
+    assert.equal(backend.callsTo('EndChallenge').length, 1);
+  });
+});
+
+describe('rating updates', () => {
+  let backend;
+  let ctx;
+
+  beforeEach(async () => {
+    backend = await startFakeBackend({
+      challenges: {
+        c1: {
+          participants: ['alice', 'bob', 'carol'],
+          ratings: { alice: 1400, bob: 1400 }, // carol has no rating yet
+          durationMinutes: 1,
+          totalTests: 4
+        }
+      },
+      submissions: {
+        ...submissions,
+        'bob-tie': { cid: 'c1', username: 'bob', testsPassed: 3, score: 70 }
+      }
+    });
+    ctx = await startTestServer({ backend });
+  });
+
+  afterEach(async () => {
+    await ctx.server.stop();
+    await backend.close();
+  });
+
+  test('old and new ratings are broadcast and sent to the backend', async () => {
+    const [alice, bob, carol] = await startChallenge(ctx, 'c1', ['alice', 'bob', 'carol']);
+    await waitUntil(() => ctx.server.lobbies.get('c1').timer.intervalId);
+
+    // alice finishes early, bob and carol reach the same score at the same moment
+    alice.send({ type: 'codeSubmitted', cid: 'c1', submissionId: 'alice-full' });
+    await alice.next('canEndChallenge');
+    alice.send({ type: 'endChallengeForUser', cid: 'c1' });
+    await alice.next('challengeEndedForUser');
+    bob.send({ type: 'codeSubmitted', cid: 'c1', submissionId: 'bob-tie' });
+    await bob.next('playerCodeSubmitted');
+    carol.send({ type: 'codeSubmitted', cid: 'c1', submissionId: 'carol-partial' });
+    await carol.next('playerCodeSubmitted');
+
+    await ctx.clock.advance(60 * 1000);
+    const { finalScores } = await bob.next('challengeEnded');
+    const byName = Object.fromEntries(finalScores.map((entry) => [entry.username, entry]));
+
+    assert.equal(byName.alice.rank, 1);
+    assert.equal(byName.bob.rank, 2);
+    assert.equal(byName.carol.rank, 2);
+    assert.equal(byName.alice.oldRating, 1400);
+    assert.equal(byName.carol.oldRating, 1200);
+    assert.ok(byName.alice.newRating > 1400);
+    // Drawing with carol costs bob rating, while carol's loss to alice is made up by the draw
+    assert.ok(byName.bob.newRating < 1400);
+    assert.ok(byName.carol.newRating >= 1200);
+
+    await bob.next('challengeEndedConfirmed');
+    const [report] = backend.callsTo('EndChallenge');
+    assert.deepEqual(
+      report.variables.ratingChanges,
+      finalScores.map(({ username, oldRating, newRating }) => ({
+        username,
+        oldRating,
+        newRating,
+        delta: newRating - oldRating
+      }))
+    );
+  });
+});
+
+describe('ranking policy', () => {
+  let backend;
+  let ctx;
+
+  beforeEach(async () => {
+    backend = await startFakeBackend({
+      challenges: { c1: { participants: ['alice', 'bob', 'carol'], durationMinutes: 10, totalTests: 4 } },
+      submissions: {
+        'alice-partial': { cid: 'c1', username: 'alice', testsPassed: 2, score: 40 },
+        'alice-full': submissions['alice-full'],
+        'bob-full': { cid: 'c1', username: 'bob', testsPassed: 4, score: 100 },
+        'carol-partial': submissions['carol-partial']
+      }
+    });
+    ctx = await startTestServer({
+      backend,
+      ranking: { timeBonus: 50, wrongSubmissionPenalty: 10, tieBreak: 'submissionTime' }
+    });
+  });
+
+  afterEach(async () => {
+    await ctx.server.stop();
+    await backend.close();
+  });
+
+  test('bonuses, penalties and finish times are reported with the ranking', async () => {
+    const [alice, bob, carol] = await startChallenge(ctx, 'c1', ['alice', 'bob', 'carol']);
+
+    // alice fails once (and resends it, which does not count again), then
+    // completes at 2 minutes; bob completes at 5 minutes
+    alice.send({ type: 'codeSubmitted', cid: 'c1', submissionId: 'alice-partial' });
+    await alice.next('playerCodeSubmitted');
+    alice.send({ type: 'codeSubmitted', cid: 'c1', submissionId: 'alice-partial' });
+    await ctx.clock.advance(2 * 60 * 1000);
+    alice.send({ type: 'codeSubmitted', cid: 'c1', submissionId: 'alice-full' });
+    await alice.next('canEndChallenge');
+    await ctx.clock.advance(3 * 60 * 1000);
+    bob.send({ type: 'codeSubmitted', cid: 'c1', submissionId: 'bob-full' });
+    await bob.next('canEndChallenge');
+    carol.send({ type: 'codeSubmitted', cid: 'c1', submissionId: 'carol-partial' });
+    await carol.next('playerCodeSubmitted', (message) => message.player.username === 'carol');
+
+    bob.send({ type: 'endChallenge', cid: 'c1' });
+    const { finalScores } = await bob.next('challengeEnded');
+    const breakdown = finalScores.map(({ username, score, rank, rawScore, bonus, penalty, finishTime }) =>
+      ({ username, score, rank, rawScore, bonus, penalty, finishTime }));
+
+    assert.deepEqual(breakdown, [
+      { username: 'alice', score: 130, rank: 1, rawScore: 100, bonus: 40, penalty: 10, finishTime: 2 * 60 * 1000 },
+      { username: 'bob', score: 125, rank: 2, rawScore: 100, bonus: 25, penalty: 0, finishTime: 5 * 60 * 1000 },
+      { username: 'carol', score: 60, rank: 3, rawScore: 70, bonus: 0, penalty: 10, finishTime: 5 * 60 * 1000 }
+    ]);
+
+    const aliceSubmissions = bob.received.filter((message) => message.type === 'playerCodeSubmitted' && message.player.username === 'alice');
+    assert.equal(aliceSubmissions.length, 2);
+
+    await bob.next('challengeEndedConfirmed');
+    const [report] = backend.callsTo('EndChallenge');
+    assert.deepEqual(report.variables.participantScores, breakdown);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryLobbyStore } from '../src/lobbyStore.js';
+import { CLOSE_CODES } from '../src/protocol.js';
+import { startFakeBackend } from './helpers/fakeBackend.js';
+import { startTestServer, startChallenge } from './helpers/testServer.js';
+
+describe('graceful shutdown', () => {
+  let backend;
+  let servers;
+
+  beforeEach(async () => {
+    backend = await startFakeBackend({
+      challenges: {
+        c1: { participants: ['alice', 'bob'] },
+        c2: { participants: ['carol'] }
+      },
+      submissions: { 'alice-1': { cid: 'c1', username: 'alice', testsPassed: 3, score: 3 } }
+    });
+    servers = [];
+  });
+
+  afterEach(async () => {
+    for (const ctx of servers) {
+      await ctx.server.stop();
+    }
+    await backend.close();
+  });
+
+  const start = async (options) => {
+    const ctx = await startTestServer({ backend, ...options });
+    servers.push(ctx);
+    return ctx;
+  };
+
+  test('"end" mode ends running challenges, closes waiting lobbies and reports to the backend', async () => {
+    const ctx = await start({ shutdownMode: 'end' });
+    const [alice, bob] = await startChallenge(ctx, 'c1', ['alice', 'bob']);
+    const carol = await ctx.connect('carol');
+    carol.send({ type: 'join', cid: 'c2' });
+    await carol.next('lobbyState');
+    const dave = await ctx.connect('dave');
+    dave.send({ type: 'queue' });
+    await dave.next('queueStatus');
+
+    await ctx.server.shutdown({ reason: 'Deploy' });
+
+    const notice = await alice.next('serverShuttingDown');
+    assert.equal(notice.reason, 'Deploy');
+    assert.equal(notice.resumable, false);
+    assert.equal(notice.retryAfter, 5000);
+    assert.equal((await alice.next('challengeEnded')).reason, 'Server maintenance');
+    assert.equal((await bob.next('challengeEnded')).reason, 'Server maintenance');
+    assert.equal((await carol.next('lobbyClosed')).reason, 'Server maintenance');
+    assert.equal((await dave.next('queueLeft')).reason, 'Server is shutting down');
+
+    assert.equal(backend.callsTo('EndChallenge').length, 1);
+    for (const client of [alice, bob, carol, dave]) {
+      assert.equal((await client.closed).code, CLOSE_CODES.SERVER_SHUTTING_DOWN);
+    }
+  });
+
+  test('"persist" mode saves lobbies so the next instance carries on', async () => {
+    const lobbyStore = createMemoryLobbyStore();
+    const first = await start({ shutdownMode: 'persist', lobbyStore });
+    const [alice] = await startChallenge(first, 'c1', ['alice', 'bob']);
+    alice.send({ type: 'testResults', cid: 'c1', submissionId: 'alice-1' });
+    await alice.next('playerTestResults');
+
+    await first.server.shutdown();
+    assert.equal((await alice.next('serverShuttingDown')).resumable, true);
+    assert.equal((await alice.closed).code, CLOSE_CODES.SERVER_SHUTTING_DOWN);
+    assert.equal(backend.callsTo('EndChallenge').length, 0);
+
+    const second = await start({ lobbyStore, clock: first.clock });
+    const returning = await second.connect('alice');
+    returning.send({ type: 'join', cid: 'c1' });
+    const state = await returning.next('lobbyState');
+    assert.equal(state.status, 'IN_PROGRESS');
+    assert.equal(state.players.find((player) => player.username === 'alice').testsPassed, 3);
+
+    // Players who do not come back are let go once the restore grace period is over
+    await second.clock.advance(60 * 1000);
+    const left = await returning.next('playerLeft');
+    assert.deepEqual(left.player, { username: 'bob', cid: 'c1' });
+    assert.equal(second.server.lobbies.get('c1').disconnectedPlayers.size, 0);
+  });
+});
@@ -0,0 +1,252 @@
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createTournament,
+  pairNextRound,
+  recordMatchResult,
+  isRoundComplete,
+  getStandings
+} from '../src/tournament.js';
+import { signToken } from '../src/auth.js';
+import { createMemoryLobbyStore } from '../src/lobbyStore.js';
+import { startFakeBackend } from './helpers/fakeBackend.js';
+import { startTestServer, waitUntil, TEST_SECRET } from './helpers/testServer.js';
+
+const players = (...usernames) => usernames.map((username, index) => ({ username, rating: 2000 - index * 100 }));
+const pairings = (matches) => matches.map((match) => match.players);
+
+describe('tournament model', () => {
+  test('swiss rounds pair players on equal points who have not met', () => {
+    const tournament = createTournament({ id: 't1', name: 'Weekly', players: players('a', 'b', 'c', 'd'), rounds: 3 });
+
+    const first = pairNextRound(tournament);
+    assert.deepEqual(pairings(first.matches), [['a', 'b'], ['c', 'd']]);
+    recordMatchResult(tournament, first.matches[0], { ranks: { a: 1, b: 2 } });
+    recordMatchResult(tournament, first.matches[1], { ranks: { c: 2, d: 1 } });
+    assert.equal(isRoundComplete(tournament), true);
+
+    // a and d lead, b and c trail; nobody meets the same opponent twice
+    const second = pairNextRound(tournament);
+    assert.deepEqual(pairings(second.matches), [['a', 'd'], ['b', 'c']]);
+  });
+
+  test('an odd player out gets one bye, worth a win', () => {
+    const tournament = createTournament({ id: 't1', name: 'Weekly', players: players('a', 'b', 'c'), rounds: 2 });
+
+    const first = pairNextRound(tournament);
+    assert.deepEqual(first.byes, ['c']);
+    recordMatchResult(tournament, first.matches[0], { ranks: { a: 1, b: 2 } });
+
+    const second = pairNextRound(tournament);
+    assert.deepEqual(second.byes, ['b'], 'c already had a bye');
+    assert.deepEqual(pairings(second.matches), [['a', 'c']]);
+    assert.equal(tournament.players.get('c').points, 1);
+  });
+
+  test('draws are worth half a point in swiss', () => {
+    const tournament = createTournament({ id: 't1', name: 'Weekly', players: players('a', 'b'), rounds: 1 });
+    const { matches } = pairNextRound(tournament);
+    recordMatchResult(tournament, matches[0], { ranks: { a: 1, b: 1 } });
+
+    assert.deepEqual(getStandings(tournament).map(({ username, points, draws }) => [username, points, draws]), [
+      ['a', 0.5, 1],
+      ['b', 0.5, 1]
+    ]);
+    assert.equal(tournament.status, 'finished');
+  });
+
+  test('knockout eliminates losers and no-shows until one player is left', () => {
+    const tournament = createTournament({ id: 't1', name: 'Cup', format: 'knockout', players: players('a', 'b', 'c', 'd') });
+    assert.equal(tournament.totalRounds, 2);
+
+    const first = pairNextRound(tournament);
+    assert.deepEqual(pairings(first.matches), [['a', 'd'], ['b', 'c']]);
+    recordMatchResult(tournament, first.matches[0], { ranks: { a: 2, d: 1 } });
+    recordMatchResult(tournament, first.matches[1], { ranks: { b: 1 }, noShows: ['c'] });
+
+    const second = pairNextRound(tournament);
+    assert.deepEqual(pairings(second.matches), [['b', 'd']]);
+    // Level on score: the better seed goes through
+    recordMatchResult(tournament, second.matches[0], { ranks: { b: 1, d: 1 } });
+
+    assert.equal(tournament.status, 'finished');
+    const standings = getStandings(tournament);
+    assert.deepEqual(standings.map(({ username }) => username), ['b', 'd', 'a', 'c']);
+    assert.equal(standings.find((player) => player.username === 'c').noShows, 1);
+  });
+
+  test('a match nobody shows up to is lost by everyone', () => {
+    const tournament = createTournament({ id: 't1', name: 'Weekly', players: players('a', 'b'), rounds: 1 });
+    const { matches } = pairNextRound(tournament);
+    recordMatchResult(tournament, matches[0], { ranks: {}, noShows: ['a', 'b'] });
+
+    assert.deepEqual(matches[0].results, { a: 'noShow', b: 'noShow' });
+    assert.equal(recordMatchResult(tournament, matches[0], { ranks: { a: 1 } }), false, 'results are final');
+  });
+});
+
+describe('tournaments over the socket', () => {
+  let backend;
+  let ctx;
+
+  const adminToken = signToken({ username: 'organizer', role: 'admin' }, TEST_SECRET);
+  const createTournamentRequest = async (body) => {
+    const res = await fetch(`http://localhost:${ctx.server.port}/admin/tournaments`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${adminToken}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  const getTournament = async (id) => {
+    const res = await fetch(`http://localhost:${ctx.server.port}/admin/tournaments/${id}`, {
+      headers: { Authorization: `Bearer ${adminToken}` }
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  beforeEach(async () => {
+    backend = await startFakeBackend({
+      submissions: { 'alice-r1': { cid: 'match-1', username: 'alice', testsPassed: 6, score: 50 } }
+    });
+    ctx = await startTestServer({ backend });
+  });
+
+  afterEach(async () => {
+    await ctx.server.stop();
+    await backend.close();
+  });
+
+  test('rounds are created from results, with byes, no-shows and standings for everyone', async () => {
+    const [alice, bob, carol, dave] = await Promise.all(['alice', 'bob', 'carol', 'dave'].map((name) => ctx.connect(name)));
+
+    const { status, body } = await createTournamentRequest({
+      name: 'Weekly',
+      rounds: 2,
+      players: [{ username: 'alice', rating: 1500 }, { username: 'bob', rating: 1400 }, { username: 'carol', rating: 1300 }]
+    });
+    assert.equal(status, 201);
+    const { tournamentId } = body;
+
+    dave.send({ type: 'watchTournament', tournamentId });
+    assert.equal((await dave.next('tournamentStandings')).round, 1);
+
+    // Round 1: alice plays bob, carol has a bye
+    assert.equal((await carol.next('tournamentBye')).round, 1);
+    const match = await alice.next('tournamentMatch');
+    assert.deepEqual(match.players, ['alice', 'bob']);
+    assert.equal((await bob.next('tournamentMatch')).cid, match.cid);
+
+    for (const client of [alice, bob]) {
+      client.send({ type: 'join', cid: match.cid });
+      await client.next('lobbyState');
+      client.send({ type: 'ready', cid: match.cid });
+    }
+    await alice.next('challengeStarted');
+    alice.send({ type: 'codeSubmitted', cid: match.cid, submissionId: 'alice-r1' });
+    await alice.next('playerCodeSubmitted');
+    bob.send({ type: 'endChallenge', cid: match.cid });
+    await bob.next('challengeEnded');
+
+    const afterRound1 = await dave.next('tournamentStandings', (event) => event.matches[0].status === 'finished');
+    assert.deepEqual(afterRound1.matches[0].results, { alice: 'win', bob: 'loss' });
+    assert.deepEqual(afterRound1.standings.map(({ username, points }) => [username, points]), [
+      ['alice', 1],
+      ['carol', 1],
+      ['bob', 0]
+    ]);
+
+    // Round 2 after the break: alice meets carol, bob has the bye. alice never gets ready.
+    await ctx.clock.advance(60 * 1000);
+    const second = await carol.next('tournamentMatch');
+    assert.equal(second.round, 2);
+    assert.deepEqual(second.players, ['alice', 'carol']);
+    assert.equal((await bob.next('tournamentBye')).round, 2);
+
+    carol.send({ type: 'join', cid: second.cid });
+    await carol.next('lobbyState');
+    carol.send({ type: 'ready', cid: second.cid });
+    await carol.next('playerReadyToggle');
+
+    await ctx.clock.advance(2 * 60 * 1000);
+    assert.match((await carol.next('lobbyClosed')).reason, /forfeited/);
+
+    const final = await alice.next('tournamentStandings', (event) => event.status === 'finished');
+    assert.deepEqual(final.matches[1].results, { alice: 'noShow', carol: 'win' });
+    // bob and alice are level on points; alice's no-show puts her last
+    assert.deepEqual(final.standings.map(({ username, points }) => [username, points]), [
+      ['carol', 2],
+      ['bob', 1],
+      ['alice', 1]
+    ]);
+    assert.equal(backend.callsTo('CreateChallenge').length, 2);
+  });
+
+  test('a tournament is picked up where it left off after a restart', async () => {
+    const store = createMemoryLobbyStore();
+    const saved = new Map();
+    const lobbyStore = {
+      ...store,
+      save: async (key, snapshot) => {
+        saved.set(key, snapshot);
+        await store.save(key, snapshot);
+      }
+    };
+    await ctx.server.stop();
+    ctx = await startTestServer({ backend, lobbyStore });
+
+    const { body } = await createTournamentRequest({ name: 'Weekly', rounds: 1, players: ['alice', 'bob'] });
+    const { tournamentId, matches: [{ cid }] } = body;
+    const alice = await ctx.connect('alice');
+    alice.send({ type: 'join', cid });
+    await alice.next('lobbyState');
+    alice.send({ type: 'ready', cid });
+    await waitUntil(() => saved.get(`tournament:${tournamentId}`).openMatches[0][1].ready.includes('alice'));
+
+    await ctx.server.stop();
+    ctx = await startTestServer({ backend, lobbyStore, clock: ctx.clock });
+    assert.equal((await getTournament(tournamentId)).body.round, 1);
+    const dave = await ctx.connect('dave');
+    dave.send({ type: 'watchTournament', tournamentId });
+    await dave.next('tournamentStandings');
+
+    // The no-show deadline still holds, and alice's readiness was kept
+    await ctx.clock.advance(2 * 60 * 1000);
+    const final = await dave.next('tournamentStandings', (event) => event.status === 'finished');
+    assert.deepEqual(final.matches[0].results, { alice: 'win', bob: 'noShow' });
+    assert.equal(backend.callsTo('CreateChallenge').length, 1);
+    assert.equal((await store.load()).some(([key]) => key === `tournament:${tournamentId}`), false);
+  });
+
+  test('a match the backend keeps refusing to create is scored as a draw', async () => {
+    await ctx.server.stop();
+    const errors = [];
+    const fetch = async (url, init) => (init.body.includes('CreateChallenge')
+      ? new Response(JSON.stringify({ errors: [{ message: 'Backend is down' }] }), { headers: { 'Content-Type': 'application/json' } })
+      : globalThis.fetch(url, init));
+    ctx = await startTestServer({ backend, fetch, logger: { log() {}, warn() {}, error: (message) => errors.push(message) } });
+
+    const { body: { tournamentId } } = await createTournamentRequest({ name: 'Weekly', rounds: 1, players: ['alice', 'bob'] });
+    for (let attempt = 2; attempt <= 5; attempt++) {
+      await ctx.clock.advance(5000);
+      await waitUntil(() => errors.length === attempt);
+    }
+    assert.match(errors[4], /Giving up on match/);
+
+    const { body } = await getTournament(tournamentId);
+    assert.equal(body.status, 'finished');
+    assert.deepEqual(body.matches[0].results, { alice: 'draw', bob: 'draw' });
+  });
+
+  test('tournaments need a known format and at least two unique players', async () => {
+    assert.equal((await createTournamentRequest({ players: ['alice'] })).status, 400);
+    assert.equal((await createTournamentRequest({ players: ['alice', 'alice'] })).status, 400);
+    assert.equal((await createTournamentRequest({ format: 'league', players: ['alice', 'bob'] })).status, 400);
+  });
+
+  test('watching an unknown tournament is an error', async () => {
+    const dave = await ctx.connect('dave');
+    dave.send({ type: 'watchTournament', tournamentId: 'nope' });
+    assert.equal((await dave.next('error')).code, 'NOT_FOUND');
+  });
+});